@@ -4,10 +4,19 @@
 // Imports
 // =======
 
+const { isMainThread, parentPort } = require("worker_threads");
+
+const { config, status, updateStatus, updateCoordinatorStatus, watchConfig, onConfigReload, applyPendingConfig } = require("./util/config.js");
+
+// If there are multiple accounts, run each one in its own worker thread instead (every worker runs this file for one account)
+if (isMainThread && config.accounts.length > 0) {
+	require("./util/accounts.js");
+	return;
+}
+
 const mcproxy = require("@rob9315/mcproxy");
 const mc = require("minecraft-protocol");
 
-const { config, status, updateStatus, updateCoordinatorStatus } = require("./util/config.js");
 const logger = require("./util/logger.js");
 const notifier = require("./util/notifier.js");
 const chatty = require("./util/chatty.js");
@@ -16,6 +25,16 @@ const mineflayer = require("./util/mineflayer.js");
 const queue = require("./util/queue.js");
 const downloader = require("./util/downloader.js");
 const webserver = require("./util/webserver.js");
+const commands = require("./util/commands.js");
+const pipeline = require("./util/pipeline.js");
+const recorder = require("./util/recorder.js");
+const metrics = require("./util/metrics.js");
+const restart = require("./util/restart.js");
+const panic = require("./util/panic.js");
+const control = require("./util/control.js");
+const tracker = require("./util/tracker.js");
+const whispers = require("./util/whispers.js");
+const retention = require("./util/retention.js");
 
 
 // ===========
@@ -25,6 +44,11 @@ const webserver = require("./util/webserver.js");
 let conn;
 let client;
 let server;
+let controller; // bridgeClient currently in control of the proxy
+let spectators = []; // bridgeClients receiving a read-only mirror of the server
+let reconnectTimer; // Timer for the next scheduled reconnect
+let reconnectAttempts = 0; // Failed reconnection attempts in a row
+let shuttingDown = false; // Whether the proxy is being stopped
 
 // ==============
 // Initialization
@@ -35,6 +59,19 @@ if (config.experimental.maxThreadpool.active) {
 	process.env.UV_THREADPOOL_SIZE = require("os").cpus().length;
 }
 
+// Clean up before exiting when the proxy is stopped (a second Ctrl-C exits immediately)
+if (isMainThread) {
+	process.once("SIGINT", () => shutdown("SIGINT"));
+	process.once("SIGTERM", () => shutdown("SIGTERM"));
+} else { // (util/accounts.js forwards signals to every account)
+	parentPort.on("message", (msg) => {
+		if (msg.shutdown) shutdown(msg.shutdown);
+	});
+}
+
+// Delete old logs now and every config.retention.interval minutes
+retention.start();
+
 // Start proxy
 start();
 
@@ -46,34 +83,110 @@ start();
  * Handle incoming packets
  * @param {object} packetData Packet object data
  * @param {object} packetMeta Packet metadata
+ * @param {Buffer} rawData Raw packet data
  */
-function packetHandler(packetData, packetMeta) {
-	// Log packets
-	logger.packetHandler(packetData, packetMeta, "server");
-
-	// Assorted packet handlers
-	switch (packetMeta.name) {
-		case "chat": // Forward chat packets to chatty.js for livechat relay and reading server restart messages
-			chatty.chatPacketHandler(packetData);
-			break;
-		case "difficulty": // Difficulty packet handler, checks whether or not we're in queue (explanation: when rerouted by Velocity, the difficulty packet is always sent after the MC|Brand packet.)
-			queue.difficultyPacketHandler(packetData, conn);
-			break;
-		case "playerlist_header": // Playerlist packet handler, checks position in queue
-			queue.playerlistHeaderPacketHandler(packetData, server);
-			break;
-		case "map_chunk":
-			if (!config.experimental.worldDownloader.active) break;
-			downloader.mapChunkPacketHandler(packetData); // Don't proceed if world downloader isn't enabled
-			break;
-		default:
-			break;
+function packetHandler(packetData, packetMeta, rawData) {
+	// Run packet through the pipeline (the server packets themselves are relayed to the controller and spectators by mcproxy)
+	const packet = pipeline.run("server", packetData, packetMeta, rawData);
+	if (typeof controller !== "undefined") {
+		packet.injected.forEach(injected => controller.write(injected.name, injected.data));
 	}
 
 	// Reset uncleanDisconnectMonitor timer
 	refreshMonitor();
 }
 
+/** Register the built-in packet handlers */
+function registerPacketHandlers() {
+	// Log packets
+	pipeline.use({
+		"name": "logger",
+		"direction": "server",
+		"packets": "*",
+		"priority": -100,
+		"handler": (packet) => logger.packetHandler(packet.data, packet.meta, "server")
+	});
+	// Record packets
+	pipeline.use({
+		"name": "recorder",
+		"direction": "server",
+		"packets": "*",
+		"priority": -100,
+		"handler": (packet) => recorder.recordPacket(packet.meta, packet.raw)
+	});
+	pipeline.use({
+		"name": "logger",
+		"direction": "controller",
+		"packets": "*",
+		"priority": -100,
+		"handler": (packet) => logger.packetHandler(packet.data, packet.meta, "bridgeClient")
+	});
+	// Count packets for /metrics
+	["server", "controller"].forEach(direction => {
+		pipeline.use({
+			"name": "metrics",
+			"direction": direction,
+			"packets": "*",
+			"priority": -100,
+			"handler": (packet) => metrics.countPacket(direction, packet.name)
+		});
+	});
+	// Forward chat packets to chatty.js for livechat relay
+	pipeline.use({
+		"name": "chatty",
+		"direction": "server",
+		"packets": "chat",
+		"handler": (packet) => chatty.chatPacketHandler(packet.data)
+	});
+	// Schedule a clean disconnect when the server announces a restart
+	pipeline.use({
+		"name": "restart",
+		"direction": "server",
+		"packets": "chat",
+		"handler": (packet) => restart.chatPacketHandler(packet.data)
+	});
+	// Difficulty packet handler, checks whether or not we're in queue (explanation: when rerouted by Velocity, the difficulty packet is always sent after the MC|Brand packet.)
+	pipeline.use({
+		"name": "queue",
+		"direction": "server",
+		"packets": "difficulty",
+		"handler": (packet) => queue.difficultyPacketHandler(packet.data, conn)
+	});
+	// Queue packet handler, checks position in queue
+	pipeline.use({
+		"name": "queue",
+		"direction": "server",
+		"packets": queue.getQueuePackets(),
+		"handler": (packet) => queue.queuePacketHandler(packet.name, packet.data, server)
+	});
+	// World downloader
+	pipeline.use({
+		"name": "downloader",
+		"direction": "server",
+		"packets": "map_chunk",
+		"handler": (packet) => {
+			if (!config.experimental.worldDownloader.active) return; // Don't proceed if world downloader isn't enabled
+			downloader.mapChunkPacketHandler(packet.data);
+		}
+	});
+	// Keep-alive packets are filtered bc the client already handles them. Sending double would kick us.
+	pipeline.use({
+		"name": "keepAliveFilter",
+		"direction": "controller",
+		"packets": ["keep_alive", "update_time"],
+		"handler": (packet) => packet.drop()
+	});
+	// Proxy commands are never sent to the server
+	pipeline.use({
+		"name": "commands",
+		"direction": "controller",
+		"packets": "chat",
+		"handler": (packet) => {
+			if (commands.commandHandler(packet.data.message, controller)) packet.drop();
+		}
+	});
+}
+
 // =================
 // Start Proxy Stack
 // =================
@@ -82,6 +195,28 @@ function packetHandler(packetData, packetMeta) {
 function start() {
 	logger.log("proxy", "Starting proxy stack.", "proxy");
 
+	// Register the built-in packet handlers
+	registerPacketHandlers();
+
+	// Give proxy commands access to the proxy
+	commands.initialize({
+		reconnect,
+		startMineflayer,
+		stopMineflayer,
+		giveControl
+	});
+	restart.initialize({
+		reconnect,
+		"getController": () => controller
+	});
+	panic.initialize({
+		reconnect
+	});
+
+	// Apply edits to config.json without restarting
+	onConfigReload(reportConfigReload);
+	watchConfig();
+
 	// Delete any leftover coordinator.flag files
 	if (config.coordination.active) {
 		updateCoordinatorStatus();
@@ -122,29 +257,32 @@ function createClient() {
 	});
 	client = conn.bot._client;
 	mineflayer.initialize(conn.bot);
+	panic.watch(conn.bot);
+	tracker.watch(conn.bot);
+	whispers.watch(conn.bot);
 
 	// Log connect and start Mineflayer
 	client.on("connect", function () {
 		logger.log("connected", "Client connected", "proxy");
+		updateStatus("restart", "None");
 		startMineflayer();
-		// Create ngrok tunnel (unless waitForControllerBeforeConnect is true, in which case the tunnel already exists)
-		if (config.ngrok.active && !config.waitForControllerBeforeConnect) {
+		// Create ngrok tunnel (unless waitForControllerBeforeConnect is true or this is a reconnect, in which case the tunnel already exists)
+		if (config.ngrok.active && !config.waitForControllerBeforeConnect && status.ngrokUrl === "None") {
 			ngrok.createTunnel();
 		}
 	});
 
+	// Reset the reconnect backoff once the bot has successfully spawned
+	conn.bot.once("spawn", () => {
+		reconnectAttempts = 0;
+	});
+
 	// Log disconnect
 	client.on("disconnect", function (packet) {
 		logger.log("disconnected", packet.reason, "proxy");
-		notifier.sendWebhook({
-			title: "Disconnected from Server: " + packet.reason,
-			category: "spam"
-		});
+		notifier.notify("disconnected", { "reason": packet.reason });
 		if (JSON.parse(packet.reason).text === "You are already connected to this proxy!") { // Send notifications when the proxy is unable to log on because the account is already in use
-			notifier.sendWebhook({
-				title: "Someone is already connected to the server using this proxy's account.",
-				category: "spam"
-			});
+			notifier.notify("alreadyConnected");
 			if (typeof server !== "undefined" && typeof server.clients[0] !== "undefined") { // Make sure client exists
 				server.clients[0].end("Someone is already connected to the server using this proxy's account."); // Disconnect client from the proxy with a helpful message
 			}
@@ -155,16 +293,13 @@ function createClient() {
 	// Log kick
 	client.on("kick_disconnect", function (packet) {
 		logger.log("kick/disconnect", packet.reason, "proxy");
-		notifier.sendWebhook({
-			title: "Kicked from Server: " + packet.reason,
-			category: "spam"
-		});
+		notifier.notify("kicked", { "reason": packet.reason });
 		reconnect();
 	});
 
 	// Packet handlers
-	client.on("packet", (packetData, packetMeta) => {
-		packetHandler(packetData, packetMeta);
+	client.on("packet", (packetData, packetMeta, rawData) => {
+		packetHandler(packetData, packetMeta, rawData);
 	});
 }
 
@@ -186,7 +321,7 @@ function createLocalServer() {
 		"host": config.proxy.loopbackAddress,
 		"port": config.proxy.port,
 		"version": config.server.version,
-		"max-players": 1,
+		"max-players": 1 + (config.proxy.spectator.active ? config.proxy.spectator.maxSpectators : 0),
 		"beforePing": (function (response, client, answerToPing) {
 			if (!config.experimental.spoofPing.active) { // Don't proceed if noPing isn't enabled in config.json
 				return;
@@ -201,36 +336,50 @@ function createLocalServer() {
 	// Handle logins
 	server.on("login", (bridgeClient) => {
 		// Block attempt if...
-		if (config.proxy.whitelist.findIndex(needle => bridgeClient.username.toLowerCase() === needle.toLowerCase()) === -1) { // ... player isn't in whitelist
+		if (control.getPriority(bridgeClient.username) === -1) { // ... player isn't in whitelist
 			bridgeClient.end("Your account (" + bridgeClient.username + ") is not whitelisted.\n\nIf you're getting this error in error the Microsoft account token may have expired.");
-			logSpam(bridgeClient.username + " (" + bridgeClient.uuid + ")" + " was denied connection to the proxy for not being whitelisted.");
+			logSpam("connectionDenied", bridgeClient, { "reason": "for not being whitelisted" });
 			return;
-		} else if (server.playerCount > 1) { // ... and another player isn't already connected
-			bridgeClient.end("This proxy is at max capacity.\n\nCurrent Controller: " + status.controller);
-			logSpam(bridgeClient.username + " (" + bridgeClient.uuid + ")" + " was denied connection to the proxy despite being whitelisted because " + status.controller + " was already in control.");
+		}
+
+		// Kick the player if the proxy is restarting
+		if (typeof reconnectTimer !== "undefined") {
+			if (config.ngrok.active && config.reconnect.exitProcess) {
+				bridgeClient.end("This proxy is currently " + status.restart.toLowerCase() + "\n\nPlease wait and try again using the new tunnel.");
+			} else {
+				bridgeClient.end("This proxy is currently " + status.restart.toLowerCase() + "\n\nPlease wait and try again.");
+			}
+			logSpam("connectionDenied", bridgeClient, { "reason": "despite being whitelisted because the proxy was restarting" });
 			return;
 		}
 
-		// Finally, kick the player if the proxy is restarting
-		if (status.restart === ("Reconnecting in " + config.reconnectInterval + " seconds...")) {
-			if (config.ngrok.active) {
-				bridgeClient.end("This proxy is currently restarting.\n\nPlease wait at least " + config.reconnectInterval + " seconds and try again using the new tunnel.");
+		// Clean up after the player when they disconnect, whether they were controlling or spectating
+		bridgeClient.on("end", () => {
+			if (bridgeClient === controller) {
+				removeController();
+			} else if (spectators.indexOf(bridgeClient) !== -1) {
+				removeSpectator(bridgeClient);
+			}
+		});
+
+		// Finally, if another player is already in control, either take over, let the player spectate, or block the attempt
+		if (status.controller !== "None") {
+			if (typeof controller !== "undefined" && control.canTakeOver(bridgeClient.username, controller.username)) {
+				handoffControl(bridgeClient);
+			} else if (typeof conn !== "undefined" && control.canSpectate(spectators.length)) {
+				createSpectator(bridgeClient);
 			} else {
-				bridgeClient.end("This proxy is currently restarting.\n\nPlease wait at least " + config.reconnectInterval + " seconds and try again.");
+				bridgeClient.end("This proxy is at max capacity.\n\nCurrent Controller: " + status.controller);
+				logSpam("connectionDenied", bridgeClient, { "reason": "despite being whitelisted because " + status.controller + " was already in control" });
 			}
-			logSpam(bridgeClient.username + " (" + bridgeClient.uuid + ")" + " was denied connection to the proxy despite being whitelisted because the proxy was restarting.");
 			return;
 		}
 
 		// Log successful connection attempt
-		logSpam(bridgeClient.username + " (" + bridgeClient.uuid + ")" + " has connected to the proxy.");
+		logSpam("playerConnected", bridgeClient);
 		updateStatus("controller", bridgeClient.username);
 		if (config.notify.whenControlling) { // optional: send message to status webhook
-			notifier.sendWebhook({
-				title: bridgeClient.username + " is using the proxy.",
-				category: "status",
-				deleteOnRestart: true
-			});
+			notifier.notify("controllerConnected", { "player": bridgeClient.username });
 		}
 
 		// Create client if it hasn't been created yet (waitForControllerBeforeConnect)
@@ -238,98 +387,219 @@ function createLocalServer() {
 			createClient();
 			client.on("packet", (packetData, packetMeta) => {
 				if (packetMeta.name === "success") {
-					createBridge();
+					createBridge(bridgeClient);
 				}
 			});
 		} else {
-			createBridge();
+			createBridge(bridgeClient);
 		}
+	});
 
-		/** Create bridge between client and local server */
-		function createBridge() {
-			console.log("Creating packet bridge");
-			logger.log("proxy", "Creating packet bridge.", "proxy");
-			webserver.updateWebStatus('updateController', status.controller);
-			// Start Mineflayer when disconnected
-			bridgeClient.on("end", () => {
-				// Log disconnect
-				logSpam(bridgeClient.username + " (" + bridgeClient.uuid + ")" + " has disconnected from the local server.");
-				updateStatus("controller", "None");
-				webserver.updateWebStatus('updateController', status.controller);
-				if (config.notify.whenControlling) { // optional: send message to status webhook
-					notifier.sendWebhook({
-						title: bridgeClient.username + " is no longer using the proxy.",
-						category: "status",
-						deleteOnRestart: true
-					});
-				}
-				// Disconnect if no controller after config.experimental.disconnectIfNoController.delay seconds
-				if (config.experimental.disconnectIfNoController.active && status.inQueue === "false") {
-					setTimeout(function () {
-						if (status.controller === "None") {
-							logger.log("proxy", "Restarting proxy because noone was in control " + config.experimental.disconnectIfNoController.delay + " seconds after someone DCed from proxy while it was on the server.", "proxy");
-							reconnect();
-						}
-					}, config.experimental.disconnectIfNoController.delay * 1000);
-				}
-				// Start Mineflayer
-				startMineflayer();
+	// Handle "give control to X" requests from the web interface
+	webserver.io().on("connection", (socket) => {
+		socket.on("giveControl", (username) => {
+			if (typeof username !== "string") return; // (socket.io payloads can be anything)
+			giveControl(username);
+		});
+	});
+}
+
+/**
+ * Create bridge between client and local server, making the client the controller
+ * @param {object} bridgeClient Client to bridge
+ * @param {boolean} wasSpectating Whether the client was spectating (and therefore already has the world)
+ */
+function createBridge(bridgeClient, wasSpectating) {
+	console.log("Creating packet bridge");
+	logger.log("proxy", "Creating packet bridge.", "proxy");
+	controller = bridgeClient;
+	webserver.updateWebStatus("updateController", status.controller);
+
+	// Stop Mineflayer
+	stopMineflayer();
+
+	// Spoof player_info (skin fix)
+	if (config.experimental.spoofPlayerInfo.active) {
+		conn.bot.waitForTicks(1).then(() => {
+			bridgeClient.write("player_info", { // Add spoofed player to tablist
+				action: 0,
+				data: [{
+					UUID: bridgeClient.uuid,
+					name: conn.bot.player.username,
+					properties: [{
+						"name": "textures", // Remember to get skin info from https://sessionserver.mojang.com/session/minecraft/profile/<uuid>?unsigned=false!
+						"value": config.experimental.spoofPlayerInfo.texture.value,
+						"signature": config.experimental.spoofPlayerInfo.texture.signature
+					}]
+				}]
+			});
+			bridgeClient.write("player_info", { // Remove bot player from tablist
+				action: 4,
+				data: [{
+					UUID: conn.bot.player.uuid,
+					name: conn.bot.player.username,
+					properties: []
+				}]
 			});
+		});
+	}
+
+	// Log & bridge packets
+	bridgeClient.on("packet", controllerPacketHandler);
+	if (wasSpectating) { // Former spectators already have the world, they just need to be put back in sync with the bot
+		conn.detach(bridgeClient);
+		bridgeClient.write("game_state_change", {
+			"reason": 3,
+			"gameMode": ["survival", "creative", "adventure", "spectator"].indexOf(conn.bot.game.gameMode)
+		});
+		bridgeClient.write("position", { // Teleport to the bot (keeping the client's rotation)
+			"x": conn.bot.entity.position.x,
+			"y": conn.bot.entity.position.y,
+			"z": conn.bot.entity.position.z,
+			"yaw": 0,
+			"pitch": 0,
+			"flags": 0x18,
+			"teleportId": 0
+		});
+		chatty.sendLocalChat(bridgeClient, "You are now in control of " + config.account.username + ".");
+	} else {
+		conn.sendPackets(bridgeClient);
+	}
+	conn.link(bridgeClient);
+}
+
+/**
+ * Run packets from the controller through the pipeline and bridge them to the server
+ * @param {object} packetData Packet object data
+ * @param {object} packetMeta Packet metadata
+ * @param {Buffer} rawData Raw packet data
+ */
+function controllerPacketHandler(packetData, packetMeta, rawData) {
+	bridge(pipeline.run("controller", packetData, packetMeta, rawData), client);
+}
+
+/**
+ * Unlink the controller from the server without disconnecting them from the local server
+ */
+function removeBridge() {
+	controller.removeListener("packet", controllerPacketHandler);
+	conn.unlink();
+	conn.detach(controller);
+	controller = undefined;
+}
 
-			// Stop Mineflayer
-			stopMineflayer();
-
-			// Spoof player_info (skin fix)
-			if (config.experimental.spoofPlayerInfo.active) {
-				conn.bot.waitForTicks(1).then(() => {
-					bridgeClient.write("player_info", { // Add spoofed player to tablist
-						action: 0,
-						data: [{
-							UUID: bridgeClient.uuid,
-							name: conn.bot.player.username,
-							properties: [{
-								"name": "textures", // Remember to get skin info from https://sessionserver.mojang.com/session/minecraft/profile/<uuid>?unsigned=false!
-								"value": config.experimental.spoofPlayerInfo.texture.value,
-								"signature": config.experimental.spoofPlayerInfo.texture.signature
-							}]
-						}]
-					});
-					bridgeClient.write("player_info", { // Remove bot player from tablist
-						action: 4,
-						data: [{
-							UUID: conn.bot.player.uuid,
-							name: conn.bot.player.username,
-							properties: []
-						}]
-					});
-				});
+/**
+ * Clean up after the controller disconnects from the local server (start Mineflayer, etc.)
+ */
+function removeController() {
+	const bridgeClient = controller;
+	controller = undefined;
+	// Log disconnect
+	logSpam("playerDisconnected", bridgeClient);
+	updateStatus("controller", "None");
+	webserver.updateWebStatus("updateController", status.controller);
+	if (config.notify.whenControlling) { // optional: send message to status webhook
+		notifier.notify("controllerDisconnected", { "player": bridgeClient.username });
+	}
+	// Disconnect if no controller after config.experimental.disconnectIfNoController.delay seconds
+	if (config.experimental.disconnectIfNoController.active && status.inQueue === "false") {
+		setTimeout(function () {
+			if (status.controller === "None") {
+				logger.log("proxy", "Restarting proxy because noone was in control " + config.experimental.disconnectIfNoController.delay + " seconds after someone DCed from proxy while it was on the server.", "proxy");
+				reconnect();
 			}
+		}, config.experimental.disconnectIfNoController.delay * 1000);
+	}
+	// Start Mineflayer
+	startMineflayer();
+}
 
-			// Log packets
-			bridgeClient.on("packet", (packetData, packetMeta) => {
-				logger.packetHandler(packetData, packetMeta, "bridgeClient");
-			});
+/**
+ * Attach a client to the proxy as a spectator. Nothing the spectator sends is bridged to the server.
+ * @param {object} bridgeClient Client to attach
+ * @param {boolean} wasControlling Whether the client was controlling (and therefore already has the world)
+ */
+function createSpectator(bridgeClient, wasControlling) {
+	logSpam("spectating", bridgeClient);
+	spectators.push(bridgeClient);
+	updateSpectators();
+	// Mirror the server packet stream
+	if (!wasControlling) conn.sendPackets(bridgeClient);
+	conn.attach(bridgeClient);
+	// Put the spectator into spectator mode client-side so that walking around doesn't desync their view
+	bridgeClient.write("game_state_change", {
+		"reason": 3,
+		"gameMode": 3
+	});
+	chatty.sendLocalChat(bridgeClient, "You are spectating " + config.account.username + ". " + status.controller + " is in control.");
+}
 
-			// Bridge packets
-			bridgeClient.on("packet", (data, meta, rawData) => {
-				bridge(rawData, meta, client);
-			});
-			conn.sendPackets(bridgeClient);
-			conn.link(bridgeClient);
-		}
+/**
+ * Remove a client from the spectators
+ * @param {object} bridgeClient Client to remove
+ */
+function removeSpectator(bridgeClient) {
+	spectators.splice(spectators.indexOf(bridgeClient), 1);
+	updateSpectators();
+	if (typeof conn !== "undefined") conn.detach(bridgeClient);
+}
 
-		/**
-		 * Send message to logger and spam webhook
-		 * @param {string} logMsg Message to log
-		 */
-		function logSpam(logMsg) {
-			logger.log("bridgeclient", logMsg, "proxy");
-			notifier.sendWebhook({
-				title: logMsg,
-				category: "spam"
-			});
+/**
+ * Hand control of the proxy to another player. The previous controller is moved to spectator (if possible) or disconnected.
+ * @param {object} bridgeClient Client to give control to (either a spectator or a player that just logged in)
+ */
+function handoffControl(bridgeClient) {
+	const wasSpectating = spectators.indexOf(bridgeClient) !== -1;
+	if (wasSpectating) removeSpectator(bridgeClient);
+	// Record the handoff
+	const previousController = controller;
+	const handoff = {
+		"from": typeof previousController !== "undefined" ? " from " + previousController.username : ""
+	};
+	logSpam("handoff", bridgeClient, handoff);
+	if (config.notify.whenControlling) { // optional: send message to status webhook
+		notifier.notify("controllerChanged", Object.assign({ "player": bridgeClient.username }, handoff));
+	}
+	updateStatus("controller", bridgeClient.username);
+	// Move the previous controller out of the way
+	if (typeof previousController !== "undefined") {
+		removeBridge();
+		const handoffMsg = bridgeClient.username + " has taken control of the proxy.";
+		if (control.canDemoteToSpectator(spectators.length)) {
+			createSpectator(previousController, true);
+			chatty.sendLocalChat(previousController, handoffMsg);
+		} else {
+			previousController.end(handoffMsg);
 		}
-	});
+	}
+	createBridge(bridgeClient, wasSpectating);
+}
+
+/**
+ * Give control of the proxy to a spectator
+ * @param {string} username Playername of the spectator to give control to
+ * @returns {boolean} Whether control was given to the spectator
+ */
+function giveControl(username) {
+	const spectator = spectators.find(spectator => spectator.username.toLowerCase() === username.toLowerCase());
+	if (typeof spectator === "undefined") return false;
+	handoffControl(spectator);
+	return true;
+}
+
+/**
+ * Log something a player did with the proxy and send its notification
+ * @param {string} event Name of the event in config.notifications (e.g. "playerConnected")
+ * @param {object} bridgeClient Client of the player
+ * @param {object} variables Extra template variables for the event
+ */
+function logSpam(event, bridgeClient, variables = {}) {
+	const values = Object.assign({
+		"player": bridgeClient.username,
+		"uuid": bridgeClient.uuid
+	}, variables);
+	logger.log("bridgeclient", notifier.fillTemplate(config.notifications[event].title, values), "proxy");
+	notifier.notify(event, values);
 }
 
 // ==========================
@@ -355,28 +625,158 @@ function refreshMonitor() {
 // Functions
 // =========
 
-/** Reconnect (Remember to read https://github.com/Enchoseon/2based2wait/wiki/How-to-Auto-Reconnect-with-Supervisor or this will just cause the script to shut down!) */
-function reconnect() {
-	console.log("Reconnecting...");
-	logger.log("proxy", "Reconnecting...", "proxy");
-	if (typeof conn !== "undefined") { // Make sure connection exists
-		conn.disconnect(); // Disconnect proxy from the server
+/**
+ * Reconnect to the server. The client, Mineflayer bot, and bridge are torn down and rebuilt in-process after an exponential backoff,
+ * unless config.reconnect.exitProcess is true (Remember to read https://github.com/Enchoseon/2based2wait/wiki/How-to-Auto-Reconnect-with-Supervisor or this will just cause the script to shut down!)
+ * @param {number} scheduledDelay Time (in seconds) to wait instead of backing off (e.g. until a server restart is over). Scheduled reconnects don't count as failed attempts.
+ */
+function reconnect(scheduledDelay) {
+	if (typeof reconnectTimer !== "undefined" || shuttingDown) return; // Don't proceed if a reconnect is already scheduled or the proxy is being stopped
+	metrics.countReconnect();
+	let delay = scheduledDelay;
+	if (typeof delay === "undefined") {
+		reconnectAttempts++;
+		// Give up if there have been too many failed attempts in a row
+		if (restart.isOutOfAttempts(reconnectAttempts)) {
+			console.log("Giving up on reconnecting.");
+			logger.log("proxy", "Giving up after " + config.reconnect.maxAttempts + " failed reconnection attempts.", "proxy");
+			shuttingDown = true;
+			exitWhenDone([
+				notifier.notify("reconnectFailed", { "maxAttempts": config.reconnect.maxAttempts }),
+				notifier.deleteMarkedMessages()
+			]);
+			return;
+		}
+		delay = restart.getReconnectDelay(reconnectAttempts);
 	}
-	if (typeof server !== "undefined" && typeof server.clients[0] !== "undefined") { // Make sure client exists
-		server.clients[0].end("Proxy restarting..."); // Disconnect client from the proxy
+	const attempt = typeof scheduledDelay === "undefined" ? "Attempt #" + reconnectAttempts : "Scheduled reconnect";
+	console.log("Reconnecting...");
+	logger.log("proxy", "Reconnecting in " + delay + " seconds (" + attempt + ")...", "proxy");
+	stopClient();
+	if (typeof server !== "undefined") { // Disconnect the controller and all spectators from the proxy
+		Object.values(server.clients).forEach(bridgeClient => {
+			bridgeClient.end("Proxy restarting...");
+		});
 	}
-	notifier.sendWebhook({
-		title: "Reconnecting...",
-		category: "spam"
-	});
-	updateStatus("restart", "Reconnecting in " + config.reconnectInterval + " seconds...");
+	notifier.notify("reconnecting", { attempt, delay });
+	updateStatus("restart", "Reconnecting in " + delay + " seconds...");
 	updateStatus("livechatRelay", "false");
-	notifier.deleteMarkedMessages();
-	setTimeout(function() {
+	const cleanup = notifier.deleteMarkedMessages();
+	reconnectTimer = setTimeout(function() {
 		updateStatus("restart", "Reconnecting now!");
 		notifier.sendToast("Reconnecting now!");
+		if (config.reconnect.exitProcess) {
+			exitWhenDone([cleanup]);
+			return;
+		}
+		reconnectTimer = undefined;
+		// Apply the config.json changes that were waiting for a reconnect
+		const applied = applyPendingConfig();
+		if (applied.length > 0) logger.log("config", `Applied config.json changes: ${applied.join(", ")}`, "proxy");
+		// Reset queue status
+		updateStatus("position", "CHECKING...");
+		updateStatus("eta", "CHECKING...");
+		updateStatus("predictedEta", "CHECKING...");
+		updateStatus("inQueue", "true");
+		queue.resetQueue();
+		// Create a new client (or wait for a controller again if waitForControllerBeforeConnect is true)
+		if (!config.waitForControllerBeforeConnect) {
+			createClient();
+		} else {
+			conn = undefined;
+			updateStatus("restart", "None");
+			console.log("Waiting for a controller...");
+		}
+	}, delay * 1000);
+}
+
+/**
+ * Disconnect the client from the server and stop it from triggering any more reconnects
+ * @returns {Promise} Resolves once the session recording (if any) has been written to disk
+ */
+function stopClient() {
+	clearTimeout(uncleanDisconnectMonitor);
+	uncleanDisconnectMonitor = undefined;
+	restart.cancelRestart();
+	if (typeof conn === "undefined") return Promise.resolve(); // Make sure connection exists
+	["connect", "disconnect", "kick_disconnect", "packet"].forEach(event => client.removeAllListeners(event));
+	conn.disconnect(); // Disconnect proxy from the server
+	return recorder.stopRecording();
+}
+
+/**
+ * Stop the proxy: disconnect everyone, send a final webhook, release coordination, close the tunnel and web interface, and flush logs.
+ * Exits anyway if cleaning up takes longer than config.shutdown.timeout seconds.
+ * @param {string} reason Why the proxy is being stopped (e.g. "SIGINT")
+ */
+async function shutdown(reason) {
+	if (shuttingDown) return;
+	shuttingDown = true;
+	console.log("Shutting down...");
+	logger.log("proxy", "Shutting down (" + reason + ").", "proxy");
+	setTimeout(() => {
+		console.log("Timed out while shutting down.");
 		process.exit(1);
-	}, config.reconnectInterval * 1000);
+	}, config.shutdown.timeout * 1000);
+	clearTimeout(reconnectTimer);
+	updateStatus("restart", "Shutting down...");
+	// Disconnect the controller and all spectators from the proxy, then disconnect from the server
+	if (typeof server !== "undefined") {
+		Object.values(server.clients).forEach(bridgeClient => {
+			bridgeClient.end(config.shutdown.message);
+		});
+	}
+	const recording = stopClient();
+	// Release coordination leadership
+	updateStatus("livechatRelay", "false");
+	// Send the final webhook and close everything else
+	await Promise.allSettled([
+		notifier.notify("proxyStopped", { reason }),
+		notifier.deleteMarkedMessages(),
+		config.ngrok.active ? ngrok.closeTunnel() : undefined,
+		webserver.stopwebUI(),
+		recording
+	]);
+	logger.log("proxy", "Stopped proxy.", "proxy");
+	await Promise.allSettled([
+		logger.flush(),
+		downloader.flush()
+	]);
+	process.exit(0);
+}
+
+/**
+ * Exit (with code 1) once webhook messages have been sent and cleaned up, or after config.shutdown.timeout seconds
+ * @param {Array} tasks Promises to wait for
+ */
+function exitWhenDone(tasks) {
+	setTimeout(() => process.exit(1), config.shutdown.timeout * 1000);
+	Promise.allSettled(tasks).then(() => process.exit(1));
+}
+
+/** Update the list of spectators in the status object */
+function updateSpectators() {
+	updateStatus("spectators", spectators.length > 0 ? spectators.map(spectator => spectator.username).join(", ") : "None");
+	webserver.updateWebStatus("updateSpectators", status.spectators);
+}
+
+/**
+ * Report the result of reloading config.json
+ * @param {object} changes Keys that were applied (applied) and keys that need a reconnect (needsReconnect), or the error if the edit was rejected (error)
+ */
+function reportConfigReload(changes) {
+	if (changes.error) {
+		logger.log("config", `Rejected config.json edit: ${changes.error.message}`, "proxy");
+		return;
+	}
+	if (changes.applied.length > 0) {
+		logger.log("config", `Applied config.json changes: ${changes.applied.join(", ")}`, "proxy");
+		if (changes.applied.indexOf("proxy.whitelist") !== -1) webserver.updateWebStatus("updateWhitelist", config.proxy.whitelist);
+	}
+	if (changes.needsReconnect.length > 0) {
+		logger.log("config", `Changes that need a reconnect to take effect: ${changes.needsReconnect.join(", ")}`, "proxy");
+		notifier.notify("configNeedsReconnect", { "keys": changes.needsReconnect.join("\n") });
+	}
 }
 
 /** Start Mineflayer */
@@ -401,12 +801,15 @@ function stopMineflayer() {
 
 /**
  * Send packets from Point A to Point B
- * @param {object} packetData Packet object data
- * @param {object} packetMeta Packet metadata
+ * @param {object} packet Packet object from the pipeline
  * @param {object} dest McProxy client to write data to
  */
-function bridge(packetData, packetMeta, dest) {
-	if (packetMeta.name !== "keep_alive" && packetMeta.name !== "update_time") { // Keep-alive packets are filtered bc the client already handles them. Sending double would kick us.
-		dest.writeRaw(packetData);
+function bridge(packet, dest) {
+	if (packet.dropped) return;
+	if (packet.modified) { // Re-serialize modified packets
+		dest.write(packet.name, packet.data);
+	} else {
+		dest.writeRaw(packet.raw);
 	}
+	packet.injected.forEach(injected => dest.write(injected.name, injected.data));
 }
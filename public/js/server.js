@@ -1,4 +1,6 @@
-var socket = io.connect();
+var account = new URLSearchParams(window.location.search).get('account'); //(set when running multiple accounts)
+var accountPath = account === null ? '' : '/account/' + account; //(pages of every account are served under /account/<index>/)
+var socket = account === null ? io.connect() : io.connect(accountPath);
 //======================
 //Dashboard Informations
 //======================
@@ -28,6 +30,9 @@ socket.on('updateQueuePosition', function(data) {
 socket.on('updateETA', function(data) {
     document.getElementById("mcwaittime").innerHTML = data.slice(-11);
 });
+socket.on('updatePredictedETA', function(data) {
+    document.getElementById("mcpredictedeta").innerHTML = (data === 'Now!' || data === 'CHECKING...') ? '' : 'Predicted: ' + data;
+});
 socket.on('updateUptime', function(data) {
     document.getElementById("serverUptime").innerHTML = data;
 });
@@ -38,6 +43,75 @@ socket.on('updateCurrentServer', function(data) {
     document.getElementById("currentserver").innerHTML = data;
 });
 
+//====================
+//Queue progress chart
+//====================
+var queueSession = []; //position changes in the current queue session
+var queueOverlay = []; //position changes in the past session picked to overlay
+function drawQueueChart() {
+    var svg = document.getElementById('queueChart');
+    var width = svg.clientWidth || 600;
+    var height = svg.clientHeight || 200;
+    var series = [[queueOverlay, '#858796'], [queueSession, '#4e73df']].filter(function(s) {
+        return s[0].length > 0;
+    });
+    //Sessions are lined up by time since they started
+    var maxTime = 60000;
+    var maxPosition = 1;
+    $.each(series, function(index, s) {
+        maxTime = Math.max(maxTime, s[0][s[0].length - 1].time - s[0][0].time);
+        $.each(s[0], function(index, entry) {
+            maxPosition = Math.max(maxPosition, entry.position);
+        });
+    });
+    var html = '';
+    $.each(series, function(index, s) {
+        var points = s[0].map(function(entry) {
+            var x = 35 + (entry.time - s[0][0].time) / maxTime * (width - 40);
+            var y = height - 20 - entry.position / maxPosition * (height - 30);
+            return x.toFixed(1) + ',' + y.toFixed(1);
+        }).join(' ');
+        html += '<polyline fill="none" stroke-width="2" stroke="' + s[1] + '" points="' + points + '"></polyline>';
+    });
+    html += '<text x="0" y="15" font-size="11">' + maxPosition + '</text>';
+    html += '<text x="0" y="' + (height - 20) + '" font-size="11">0</text>';
+    html += '<text x="' + width + '" y="' + (height - 5) + '" font-size="11" text-anchor="end">' + Math.round(maxTime / 60000) + ' min</text>';
+    svg.innerHTML = html;
+}
+socket.on('updateQueueSession', function(data) {
+    queueSession = data;
+    drawQueueChart();
+});
+socket.on('updateQueueChart', function(entry) {
+    if (queueSession.length > 0 && queueSession[0].session !== entry.session) queueSession = []; //new queue session
+    queueSession.push(entry);
+    drawQueueChart();
+});
+socket.on('updateQueueSessions', function(data) {
+    var options = '<option value="">No overlay</option>';
+    $.each(data, function(index, s) {
+        options += '<option value="' + s.session + '">' + new Date(s.start).toLocaleString() + ' (' + s.startPosition + ' to ' + s.endPosition + ')</option>';
+    });
+    $('#queueSessionSelect').html(options);
+});
+//Export links of the queue history of the selected account
+function updateQueueExportLinks() {
+    $('#queueExportJson').attr('href', accountPath + '/queue-history?format=json');
+    $('#queueExportCsv').attr('href', accountPath + '/queue-history?format=csv');
+}
+updateQueueExportLinks();
+$('#queueSessionSelect').on('change', function() {
+    if (!this.value) {
+        queueOverlay = [];
+        drawQueueChart();
+        return;
+    }
+    $.getJSON(accountPath + '/queue-history?session=' + this.value, function(data) {
+        queueOverlay = data;
+        drawQueueChart();
+    });
+});
+
 socket.on('serverInfo', function(data) {
 	let img = document.createElement('img');
 	img.src = "https://mc-heads.net/body/" + data + ".png";
@@ -45,6 +119,33 @@ socket.on('serverInfo', function(data) {
 	
 });
 
+//==========
+//Spectators
+//==========
+socket.on('updateSpectators', function(data) {
+    var body = $('.spectatorTable tbody').empty();
+    if (data !== 'None') {
+        $.each(data.split(', '), function(index, name) {
+            // Built with .attr()/.text(), since player names come from the server
+            var button = $('<button class="btn btn-sm btn-primary giveControl">Give control</button>').attr('data-name', name);
+            body.append($('<tr>').append($('<td>').text(name), $('<td>').append(button)));
+        });
+    }
+});
+$('.spectatorTable').on('click', '.giveControl', function() {
+    socket.emit('giveControl', $(this).attr('data-name')); // (not .data(), which turns numeric names into numbers)
+});
+
+//================
+//Players in range
+//================
+socket.on('updateVisualRange', function(data) {
+    var body = $('.visualRangeTable tbody').empty();
+    $.each(data, function(index, name) {
+        var cell = $('<td>').append($('<img width="20" height="20">').attr('src', 'https://mc-heads.net/avatar/' + encodeURIComponent(name)));
+        body.append($('<tr>').append(cell.append(document.createTextNode(' ' + name))));
+    });
+});
 //=========
 //Whitelist
 //=========
@@ -175,6 +276,88 @@ chatForm.addEventListener('submit', function(e) {
         chatInput.value = '';
     }
 });
+//========
+//Whispers
+//========
+var whisperPlayer;
+var whisperConversations = [];
+function renderWhisperConversations() {
+    var list = $('#whisperConversations').empty();
+    $.each(whisperConversations, function(index, conversation) {
+        // Built with .attr()/.text(), since player names come from the server
+        var item = $('<a href="#" class="list-group-item list-group-item-action whisperConversation"></a>').attr('data-name', conversation.player).toggleClass('active', conversation.player === whisperPlayer);
+        item.append($('<img width="20" height="20">').attr('src', 'https://mc-heads.net/avatar/' + encodeURIComponent(conversation.player)));
+        item.append(document.createTextNode(' ' + conversation.player + ' '));
+        item.append($('<span class="badge badge-secondary float-right"></span>').text(conversation.count));
+        list.append(item);
+    });
+}
+function addWhisper(whisper) {
+    var line = $('<div class="pb-1"></div>');
+    line.append($('<span class="text-muted small"></span>').text(new Date(whisper.time).toLocaleTimeString() + ' '));
+    line.append($('<strong></strong>').text(whisper.direction === 'in' ? whisper.player + ': ' : 'You: '));
+    line.append($('<span></span>').text(whisper.message));
+    $('#whisperHistory').append(line);
+    $('#whisperHistory').scrollTop($('#whisperHistory')[0].scrollHeight);
+}
+socket.on('updateWhisperConversations', function(data) {
+    whisperConversations = data;
+    renderWhisperConversations();
+});
+socket.on('updateWhisperHistory', function(data) {
+    if (data.player !== whisperPlayer) return;
+    $('#whisperHistory').empty();
+    $.each(data.messages, function(index, whisper) {
+        addWhisper(whisper);
+    });
+});
+socket.on('updateWhisper', function(whisper) {
+    var conversation = whisperConversations.find(function(c) { return c.player.toLowerCase() === whisper.player.toLowerCase(); });
+    if (!conversation) {
+        conversation = { player: whisper.player, count: 0 };
+    } else {
+        whisperConversations.splice(whisperConversations.indexOf(conversation), 1);
+    }
+    conversation.count++;
+    conversation.last = whisper;
+    whisperConversations.unshift(conversation);
+    renderWhisperConversations();
+    if (whisperPlayer && whisperPlayer.toLowerCase() === whisper.player.toLowerCase()) addWhisper(whisper);
+});
+socket.on('whisperReplyFailed', function(data) {
+    alert('Could not send the reply to ' + (data && data.player) + ' (is the bot connected?)');
+});
+$('#whisperConversations').on('click', '.whisperConversation', function(e) {
+    e.preventDefault();
+    whisperPlayer = $(this).attr('data-name'); // (not .data(), which turns numeric names into numbers)
+    $('#whisperPlayer').text(whisperPlayer);
+    $('#whisperInput').prop('disabled', false);
+    renderWhisperConversations();
+    socket.emit('whisperHistory', whisperPlayer);
+});
+$('#whisperForm').on('submit', function(e) {
+    e.preventDefault();
+    var message = $('#whisperInput').val();
+    if (whisperPlayer && message) {
+        socket.emit('whisperReply', { player: whisperPlayer, message: message });
+        $('#whisperInput').val('');
+    }
+});
+//================
+//Account Switcher
+//================
+socket.on('updateAccounts', function(data) {
+    var select = $('#accountSelect').empty().removeClass('d-none');
+    data.forEach(function(username, index) {
+        select.append($('<option>').val(index).text(username).prop('selected', String(index) === account));
+    });
+});
+$('#accountSelect').on('change', function() {
+    account = this.value;
+    accountPath = '/account/' + account;
+    updateQueueExportLinks();
+    window.location.search = '?account=' + account; //(reconnects to the namespace of the account)
+});
 //=======
 //Exports
 //=======
@@ -25,17 +25,34 @@ const filesToHash = [ // Paths of files to hash
 	"./proxy.js",
 	"./package.json",
 	"./package-lock.json",
+	"./util/accounts.js",
+	"./util/chatFilter.js",
 	"./util/chatty.js",
+	"./util/commands.js",
 	"./util/config.js",
+	"./util/control.js",
 	"./util/downloader.js",
 	"./util/logger.js",
+	"./util/metrics.js",
 	"./util/mineflayer.js",
 	"./util/ngrok.js",
 	"./util/notifier.js",
+	"./util/panic.js",
+	"./util/pipeline.js",
 	"./util/queue.js",
+	"./util/queueHistory.js",
+	"./util/recorder.js",
+	"./util/restart.js",
+	"./util/retention.js",
 	"./util/schemas.js",
+	"./util/smtp.js",
+	"./util/tracker.js",
+	"./util/webhookQueue.js",
+	"./util/whispers.js",
 	"./scripts/debugFetch.js",
+	"./scripts/logs.js",
 	"./scripts/processArchives.js",
+	"./scripts/replay.js",
 	"./scripts/updateNgrokBinary.js",
 	"./test/test-config.json",
 	"./test/test.js"
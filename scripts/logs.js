@@ -0,0 +1,161 @@
+// =======
+// Imports
+// =======
+
+const fs = require("fs");
+const zlib = require("zlib");
+const readline = require("readline");
+const { once } = require("events");
+
+const { config } = require("./../util/config.js");
+const logger = require("./../util/logger.js");
+
+// =========
+// Functions
+// =========
+
+/**
+ * Search the logs (text and JSON Lines, compressed or not)
+ * @param {object} filters Filters
+ * @param {Array} filters.categories Log categories to search (defaults to every category)
+ * @param {number} filters.from Only entries logged at or after this time (in ms)
+ * @param {number} filters.to Only entries logged at or before this time (in ms)
+ * @param {Array} filters.names Only entries with one of these names (e.g. packet names)
+ * @param {RegExp} filters.chat Only chat messages that match this pattern
+ * @param {string} filters.session Only entries from this session (JSON Lines entries only)
+ * @yields {object} Matching log entries ({ time, category, name, session, account, data })
+ */
+async function* queryLogs(filters) {
+	let unknownTimes = 0;
+	for (const category of filters.categories || Object.keys(config.log.active)) {
+		const dir = logger.getDirectory(category);
+		if (!fs.existsSync(dir)) continue;
+		const files = fs.readdirSync(dir).filter(file => /_\d+\.log(\.gz)?$/.test(file)).sort((a, b) => getIndex(a) - getIndex(b));
+		for (const file of files) {
+			if (filters.from && fs.statSync(dir + file).mtimeMs < filters.from) continue; // (last written to before the time range)
+			let input = fs.createReadStream(dir + file);
+			if (file.endsWith(".gz")) input = input.pipe(zlib.createGunzip());
+			try {
+				for await (const line of readline.createInterface({ input, "crlfDelay": Infinity })) {
+					const entry = logger.parseEntry(line, category);
+					if (!entry || !matches(entry, filters)) continue;
+					if (isNaN(entry.time)) unknownTimes++;
+					yield entry;
+				}
+			} catch (error) { // (e.g. an archive that was still being compressed)
+				console.error(`Couldn't read ${dir + file}: ${error.message}`);
+			}
+		}
+	}
+	if (unknownTimes > 0 && (filters.from || filters.to)) console.error(`Warning: ${unknownTimes} matching entries have timestamps that couldn't be read (written in another locale), so they're included whatever their time is.`);
+}
+
+/**
+ * Check a log entry against the filters
+ * @param {object} entry Log entry
+ * @param {object} filters Filters (see queryLogs)
+ * @returns {boolean} Whether the entry matches every filter (entries with unreadable timestamps match any time range)
+ */
+function matches(entry, filters) {
+	if (filters.from && entry.time < filters.from) return false;
+	if (filters.to && entry.time > filters.to) return false;
+	if (filters.names && filters.names.indexOf(entry.name) === -1) return false;
+	if (filters.chat && !(entry.category === "chat" && filters.chat.test(String(entry.data)))) return false;
+	if (filters.session && entry.session !== filters.session) return false;
+	return true;
+}
+
+/**
+ * Get the index of a logfile
+ * @param {string} file Filename (e.g. "chat_12.log.gz")
+ * @returns {number} Index
+ */
+function getIndex(file) {
+	return parseInt(/_(\d+)\.log/.exec(file)[1]);
+}
+
+/**
+ * Print matching log entries, or export them as JSON Lines
+ * @param {object} filters Filters (see queryLogs)
+ * @param {string} output Path to export the matches to (prints them if undefined)
+ * @returns {Promise} Resolves with how many entries matched, rejects if the export can't be written
+ */
+async function printLogs(filters, output) {
+	const stream = output ? fs.createWriteStream(output) : process.stdout;
+	let failure; // Error writing the export
+	if (output) {
+		await once(stream, "open"); // (rejects if the file can't be created)
+		stream.on("error", error => failure = error);
+	}
+	let count = 0;
+	for await (const entry of queryLogs(filters)) {
+		if (failure) throw failure;
+		const time = isNaN(entry.time) ? "Unknown Time" : new Date(entry.time).toISOString();
+		const line = output ? JSON.stringify(Object.assign({}, entry, { time })) : `[${time}] [${entry.category}] [${entry.name}] ${JSON.stringify(entry.data)}`;
+		if (!stream.write(line + "\n")) await once(stream, "drain");
+		count++;
+	}
+	if (output) await new Promise(resolve => stream.end(resolve));
+	return count;
+}
+
+/**
+ * Read the filters from command line arguments
+ * @param {Array} args Arguments (e.g. ["--category", "chat", "--chat", "popbob"])
+ * @returns {object} Filters and where to export the matches ({ filters, output })
+ */
+function parseArguments(args) {
+	let filters = {};
+	let output;
+	for (let i = 0; i < args.length; i += 2) {
+		const value = args[i + 1];
+		if (typeof value === "undefined") throw new Error(`Missing a value for ${args[i]}`);
+		switch (args[i]) {
+			case "--category":
+				filters.categories = value.split(",");
+				break;
+			case "--from":
+			case "--to":
+				filters[args[i].slice(2)] = Date.parse(value);
+				if (isNaN(filters[args[i].slice(2)])) throw new Error(`${value} isn't a valid date`);
+				break;
+			case "--name":
+				filters.names = value.split(",");
+				break;
+			case "--chat":
+				filters.chat = new RegExp(value, "i");
+				break;
+			case "--session":
+				filters.session = value;
+				break;
+			case "--output":
+				output = value;
+				break;
+			default:
+				throw new Error(`Unknown option ${args[i]} (options: --category, --from, --to, --name, --chat, --session, --output)`);
+		}
+	}
+	return { filters, output };
+}
+
+/** Lazy Package.json hook */
+if (require.main === module) {
+	Promise.resolve().then(() => {
+		const { filters, output } = parseArguments(process.argv.slice(2));
+		return printLogs(filters, output).then(count => {
+			console.error(`${count} matching log entries${output ? ` exported to ${output}` : ""}.`); // (stderr, so printed entries can be piped)
+		});
+	}).catch(error => { // (e.g. a bad argument or an --output path that can't be written to)
+		console.error(error.message);
+		process.exitCode = 1;
+	});
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	queryLogs,
+	parseArguments
+};
@@ -0,0 +1,78 @@
+// =======
+// Imports
+// =======
+
+const fs = require("fs");
+
+const mc = require("minecraft-protocol");
+
+const { config } = require("./../util/config.js");
+const recorder = require("./../util/recorder.js");
+
+// =========
+// Functions
+// =========
+
+/**
+ * Start a local server that plays a recording back to every client that connects to it
+ * @param {string} inputFile Path to the recording to play back
+ * @param {number} speed Playback speed (e.g. 2 plays the recording back twice as fast)
+ * @param {number} port Port to start the replay server on
+ */
+async function replay(inputFile, speed, port) {
+	const { header } = await recorder.readRecording(inputFile);
+	console.log(`Recorded At: ${new Date(header.startTime).toUTCString()} Version: ${header.version} (Protocol ${header.protocolVersion})`);
+	// Create server
+	const server = mc.createServer({
+		"online-mode": false,
+		"encryption": true,
+		"host": config.proxy.loopbackAddress,
+		"port": port,
+		"version": header.version,
+		"max-players": 1,
+		"motd": `Replay of ${new Date(header.startTime).toUTCString()}`
+	});
+	console.log(`Connect to ${config.proxy.loopbackAddress}:${port} to watch the replay at ${speed}x speed.`);
+	// Play the recording back from the start to everyone that connects
+	server.on("login", async (client) => {
+		console.log(`\t${client.username} is watching the replay.`);
+		const { records } = await recorder.readRecording(inputFile);
+		const startTime = Date.now();
+		for await (const record of records) {
+			if (client.ended) return;
+			const wait = record.time / speed - (Date.now() - startTime);
+			if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+			client.writeRaw(record.data);
+		}
+		console.log(`\tFinished replaying to ${client.username}.`);
+		client.write("chat", {
+			"message": JSON.stringify({
+				"text": "[2B2W] End of replay.",
+				"color": "gold"
+			}),
+			"position": 1
+		});
+	});
+}
+
+/** Lazy Package.json hook */
+if (process.argv.length >= 3) {
+	// Get arguments
+	const inputFile = process.argv[2];
+	const speed = parseFloat(process.argv[3]) || 1;
+	const port = parseInt(process.argv[4]) || config.proxy.port + 1;
+	console.log(`Replaying: ${inputFile} Speed: ${speed}x`);
+	if (fs.existsSync(inputFile)) {
+		replay(inputFile, speed, port);
+	} else {
+		throw new Error(`${inputFile} could not be found. Are you sure you have the correct path?`);
+	}
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	replay
+};
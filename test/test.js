@@ -38,6 +38,694 @@ describe("2Bored2Wait Testing", () => {
 			console.dir(generated, { depth: null });
 			assert.equal(typeof generated.error, "undefined"); // Check that schema validation returned no errors
 		});
+		it("Applies live-reloadable keys right away and the other keys on reconnect", () => {
+			const { config, applyConfig, applyPendingConfig } = require("./../util/config.js");
+			const original = JSON.parse(JSON.stringify(config));
+			const whitelist = config.proxy.whitelist;
+			const edited = JSON.parse(JSON.stringify(config));
+			edited.queueThreshold = original.queueThreshold + 1;
+			edited.proxy.whitelist = ["UnitTester", "Reloaded"];
+			edited.server.port = original.server.port + 1;
+			const changes = applyConfig(edited);
+			assert.deepEqual(changes.applied.sort(), ["proxy.whitelist", "queueThreshold"]);
+			assert.deepEqual(changes.needsReconnect, ["server.port"]);
+			assert.equal(config.queueThreshold, original.queueThreshold + 1);
+			assert.equal(config.server.port, original.server.port); // (not applied until a reconnect)
+			assert.equal(config.proxy.whitelist, whitelist); // (replaced in place)
+			assert.deepEqual(whitelist, ["UnitTester", "Reloaded"]);
+			assert.deepEqual(applyPendingConfig(), ["server.port"]); // (reconnect() applies it before creating the new client)
+			assert.equal(config.server.port, original.server.port + 1);
+			assert.deepEqual(applyPendingConfig(), []);
+			applyConfig(original);
+			applyPendingConfig();
+			assert.equal(config.server.port, original.server.port);
+			assert.deepEqual(config.proxy.whitelist, original.proxy.whitelist);
+		});
+	});
+	describe("commands.js", () => {
+		it("Replies to proxy commands without sending them to the server", () => {
+			const commands = require("./../util/commands.js");
+			const written = [];
+			const bridgeClient = {
+				username: "UnitTester",
+				write: (name, data) => written.push([name, data])
+			};
+			assert.equal(commands.commandHandler("<UnitTester> Chat message.", bridgeClient), false); // Normal chat goes to the server
+			assert.equal(commands.commandHandler("/2b2w eta", bridgeClient), true);
+			assert.equal(written.length, 1);
+			assert.equal(written[0][0], "chat");
+			assert.match(JSON.parse(written[0][1].message).extra[0].text, /^Position: /);
+		});
+	});
+	describe("pipeline.js", () => {
+		it("Runs packet handlers in order of priority and isolates their errors", () => {
+			const pipeline = require("./../util/pipeline.js");
+			const order = [];
+			pipeline.use({ name: "test-last", direction: "controller", packets: "chat", priority: 10, handler: () => order.push("last") });
+			pipeline.use({ name: "test-broken", direction: "controller", packets: "*", handler: () => { throw new Error("Broken handler"); } });
+			pipeline.use({ name: "test-first", direction: "controller", packets: ["chat"], priority: -10, handler: (packet) => {
+				order.push("first");
+				packet.modify({ message: "Modified." });
+			} });
+			const packet = pipeline.run("controller", { message: "Chat message." }, { name: "chat" }, Buffer.alloc(0));
+			assert.deepEqual(order, ["first", "last"]);
+			assert.equal(packet.modified, true);
+			assert.equal(packet.data.message, "Modified.");
+			pipeline.remove("test-last");
+			pipeline.use({ name: "test-drop", direction: "controller", packets: "chat", handler: (packet) => packet.drop() });
+			assert.equal(pipeline.run("controller", {}, { name: "chat" }, Buffer.alloc(0)).dropped, true);
+			pipeline.use({ name: "test-server-drop", direction: "server", packets: "chat", handler: (packet) => packet.drop() });
+			assert.equal(pipeline.run("server", {}, { name: "chat" }, Buffer.alloc(0)).dropped, false); // (mcproxy has already relayed it)
+			["test-first", "test-broken", "test-drop", "test-server-drop"].forEach(pipeline.remove);
+		});
+	});
+	describe("recorder.js", () => {
+		it("Can read back a recording", async () => {
+			const { config } = require("./../util/config.js");
+			const recorder = require("./../util/recorder.js");
+			config.recorder.active = true;
+			recorder.recordPacket({ name: "chat", state: "play" }, Buffer.from([0x0F, 0x01]));
+			recorder.recordPacket({ name: "keep_alive", state: "play" }, Buffer.from([0x1F])); // (ignored by default)
+			recorder.recordPacket({ name: "chat", state: "play" }, Buffer.from([0x0F, 0x02]));
+			config.recorder.active = false;
+			await recorder.stopRecording();
+			const dir = "./log/test/recordings/";
+			const file = require("fs").readdirSync(dir).filter(f => f.endsWith(recorder.EXTENSION)).sort().pop();
+			const { header, records } = await recorder.readRecording(dir + file);
+			assert.equal(header.version, config.server.version);
+			const data = [];
+			for await (const record of records) data.push(record.data.toString("hex"));
+			assert.deepEqual(data, ["0f01", "0f02"]);
+		});
+	});
+	describe("metrics.js", () => {
+		it("Renders metrics in the Prometheus text format", () => {
+			const metrics = require("./../util/metrics.js");
+			assert.equal(metrics.parseEta("1h 23m 45s"), 5025);
+			assert.equal(metrics.parseEta("01:23:45"), 5025);
+			assert.ok(isNaN(metrics.parseEta("CHECKING...")));
+			metrics.countPacket("server", "chat");
+			metrics.countPacket("server", "chat");
+			const output = metrics.render();
+			assert.match(output, /^twobased2wait_packets_total\{account="UnitTester",direction="server",name="chat"\} 2$/m);
+			assert.match(output, /^# TYPE twobased2wait_reconnects_total counter$/m);
+			assert.doesNotMatch(output, /twobased2wait_queue_position\{/); // (position isn't known yet)
+		});
+	});
+	describe("queue.js", () => {
+		it("Reads the position and ETA with the default queue detection", () => {
+			const { config } = require("./../util/config.js");
+			const queue = require("./../util/queue.js");
+			const header = JSON.stringify({
+				text: "",
+				extra: [
+					{ text: "\n" },
+					{ text: "2B2T is full\n" },
+					{ text: "\n" },
+					{ text: "" },
+					{ text: "Position in queue: ", extra: [{ text: "420\n", color: "gold" }] },
+					{ text: "Estimated time: ", extra: [{ text: "1h 9m\n", color: "gold" }] }
+				]
+			});
+			const texts = queue.getQueueTexts("playerlist_header", { header, footer: "{\"text\":\"\"}" });
+			assert.equal(queue.readQueueText(config.queueDetection.position, texts), "420");
+			assert.equal(queue.readQueueText(config.queueDetection.eta, texts), "1h 9m");
+			assert.equal(queue.readQueueText({ source: "chat", pattern: "\\d+", flags: "" }, texts), undefined);
+		});
+		it("Notifies the position with the ETA from the same packet", () => {
+			const { config, status, updateStatus } = require("./../util/config.js");
+			const notifier = require("./../util/notifier.js");
+			const queue = require("./../util/queue.js");
+			const notify = notifier.notify;
+			const sent = [];
+			notifier.notify = (event, data) => sent.push({ event, data });
+			const { queueHistory } = config;
+			const { inQueue } = status;
+			config.queueHistory = Object.assign({}, queueHistory, { "active": false });
+			updateStatus("inQueue", true);
+			try {
+				const header = JSON.stringify({ text: "Position in queue: 321\nEstimated time: 2h 5m" });
+				queue.queuePacketHandler("playerlist_header", { header, footer: "{\"text\":\"\"}" }, {});
+			} finally {
+				notifier.notify = notify;
+				config.queueHistory = queueHistory;
+				updateStatus("inQueue", inQueue);
+			}
+			assert.equal(status.eta, "2h 5m");
+			assert.equal(sent.find(s => s.event === "queuePosition").data.eta, "2h 5m");
+		});
+	});
+	describe("restart.js", () => {
+		it("Reads the time until a server restart from restart announcements", () => {
+			const restart = require("./../util/restart.js");
+			assert.equal(restart.parseRestartMessage("[SERVER] Server restarting in 15 minutes ..."), 900);
+			assert.equal(restart.parseRestartMessage("[SERVER] Server restarting in 30 seconds ..."), 30);
+			assert.ok(isNaN(restart.parseRestartMessage("<UnitTester> Server restarting in 5 minutes")));
+		});
+		it("Backs off exponentially between reconnection attempts, with jitter and a maximum number of attempts", () => {
+			const { config } = require("./../util/config.js");
+			const restart = require("./../util/restart.js");
+			const { reconnect, reconnectInterval } = config;
+			const random = Math.random;
+			try {
+				config.reconnectInterval = 10;
+				config.reconnect = Object.assign({}, reconnect, { "backoffMultiplier": 2, "maxInterval": 100, "jitter": 0, "maxAttempts": 3 });
+				assert.deepEqual([1, 2, 3, 4, 5].map(attempts => restart.getReconnectDelay(attempts)), [10, 20, 40, 80, 100]);
+				config.reconnect.jitter = 0.5;
+				Math.random = () => 0;
+				assert.equal(restart.getReconnectDelay(1), 5);
+				Math.random = () => 0.9999;
+				assert.equal(restart.getReconnectDelay(1), 15);
+				assert.ok(!restart.isOutOfAttempts(3));
+				assert.ok(restart.isOutOfAttempts(4));
+				config.reconnect.maxAttempts = 0; // (unlimited)
+				assert.ok(!restart.isOutOfAttempts(1000));
+			} finally {
+				Math.random = random;
+				config.reconnect = reconnect;
+				config.reconnectInterval = reconnectInterval;
+			}
+		});
+	});
+	describe("queueHistory.js", () => {
+		it("Predicts the ETA from past queue speed", () => {
+			require("fs").rmSync("./log/test/queueHistory/", { recursive: true, force: true }); // (start from an empty history)
+			delete require.cache[require.resolve("./../util/queueHistory.js")];
+			const queueHistory = require("./../util/queueHistory.js");
+			const start = Date.now() - 20 * 60 * 1000;
+			for (let i = 0; i <= 10; i++) {
+				queueHistory.recordPosition(100 - i, start + i * 60 * 1000); // (one position per minute)
+			}
+			assert.equal(queueHistory.getSessions().find(s => s.session === start).startPosition, 100);
+			assert.equal(queueHistory.getEntries(start).length, 11);
+			queueHistory.endSession();
+			assert.equal(queueHistory.predictEta(30), 30 * 60);
+			assert.equal(queueHistory.formatEta(queueHistory.predictEta(90)), "1h 30m");
+		});
+		it("Drops position changes older than maxAge while the proxy runs", async () => {
+			const fs = require("fs");
+			fs.rmSync("./log/test/queueHistory/", { recursive: true, force: true }); // (start from an empty history)
+			delete require.cache[require.resolve("./../util/queueHistory.js")];
+			const queueHistory = require("./../util/queueHistory.js");
+			const { config } = require("./../util/config.js");
+			const start = Date.now() - (config.queueHistory.maxAge + 1) * 86400000;
+			queueHistory.recordPosition(100, start);
+			queueHistory.recordPosition(99, start + 60 * 1000);
+			assert.equal(queueHistory.predictEta(30), 30 * 60);
+			queueHistory.endSession();
+			assert.deepEqual(queueHistory.getSessions(), []);
+			assert.ok(isNaN(queueHistory.predictEta(30)));
+			const entry = queueHistory.recordPosition(50); // (written after the history file is rewritten)
+			const file = "./log/test/queueHistory/history.jsonl";
+			for (let i = 0; i < 50 && !(fs.existsSync(file) && fs.readFileSync(file, "utf-8").includes(JSON.stringify(entry))); i++) await new Promise(resolve => setTimeout(resolve, 20)); // (the history file is written asynchronously)
+			assert.ok(fs.readFileSync(file, "utf-8").includes(JSON.stringify(entry)));
+			assert.ok(!fs.readFileSync(file, "utf-8").includes(`"session":${start},`));
+			queueHistory.endSession();
+		});
+	});
+	describe("chatFilter.js", () => {
+		it("Filters ignored players, denied patterns, and duplicates per destination", () => {
+			const { config } = require("./../util/config.js");
+			const chatFilter = require("./../util/chatFilter.js");
+			config.chatFilter.active = true;
+			config.chatFilter.ignorePlayers.push("Spammer");
+			config.chatFilter.deny.push("discord\\.gg");
+			config.chatFilter.allow.push("^<UnitTester> ");
+			config.chatFilter.destinations.webChat.deny.push("^\\w+ was slain");
+			assert.deepEqual(chatFilter.checkMessage("<Spammer> hi", 0), { "livechat": "ignored", "webChat": "ignored" });
+			assert.deepEqual(chatFilter.checkMessage("<Someone> join discord.gg/abc", 0), { "livechat": "denied", "webChat": "denied" });
+			assert.deepEqual(chatFilter.checkMessage("<UnitTester> discord.gg/abc", 0), {});
+			assert.deepEqual(chatFilter.checkMessage("Notch was slain by Herobrine", 0), { "webChat": "denied" });
+			assert.deepEqual(chatFilter.checkMessage("<UnitTester> discord.gg/abc", 1000), { "livechat": "duplicate", "webChat": "duplicate" });
+			assert.deepEqual(chatFilter.checkMessage("<UnitTester> discord.gg/abc", 60000), {});
+			assert.equal(chatFilter.getSender("Notch whispers: hi"), "Notch");
+			config.chatFilter.active = false;
+		});
+	});
+	describe("whispers.js", () => {
+		it("Saves whispers to the inbox by conversation", () => {
+			require("fs").rmSync("./log/test/whispers/", { recursive: true, force: true }); // (start from an empty inbox)
+			delete require.cache[require.resolve("./../util/whispers.js")];
+			const whispers = require("./../util/whispers.js");
+			assert.equal(whispers.handleMessage("<Notch> hi"), undefined);
+			assert.deepEqual(whispers.handleMessage("to Notch: hello there", 1000), { "player": "Notch", "direction": "out", "message": "hello there", "time": 1000 });
+			assert.equal(whispers.getConversation("notch").length, 1);
+			assert.equal(whispers.getConversations()[0].count, 1);
+			assert.equal(whispers.reply("Notch", "no bot yet"), false);
+		});
+	});
+	describe("webhookQueue.js", () => {
+		it("Coalesces livechat lines and retries after being rate-limited", async () => {
+			const { config } = require("./../util/config.js");
+			const webhookQueue = require("./../util/webhookQueue.js");
+			config.discord.delivery.coalesceWindow = 0.05;
+			let requests = [];
+			const webhookServer = require("http").createServer((req, res) => {
+				let body = "";
+				req.on("data", chunk => body += chunk);
+				req.on("end", () => {
+					requests.push(JSON.parse(body));
+					res.setHeader("Content-Type", "application/json");
+					if (requests.length === 1) {
+						res.statusCode = 429;
+						res.end(JSON.stringify({ "retry_after": 0.05 }));
+					} else {
+						res.end(JSON.stringify({ "id": "1" }));
+					}
+				});
+			}).listen(0);
+			const webhook = `http://localhost:${webhookServer.address().port}/webhook`;
+			const line = (description) => webhookQueue.enqueue({ webhook, "body": { "embeds": [{ description }] }, "coalesce": true });
+			const responses = await Promise.all([line("first"), line("second")]);
+			webhookServer.close();
+			config.discord.delivery.coalesceWindow = 2;
+			assert.equal(requests.length, 2);
+			assert.equal(requests[1].embeds[0].description, "first\nsecond");
+			assert.deepEqual(responses, [{ "id": "1" }, { "id": "1" }]);
+			assert.equal(webhookQueue.getPending(), 0);
+		});
+		it("Counts deleting a message that's already gone as done", async () => {
+			const webhookQueue = require("./../util/webhookQueue.js");
+			const webhookServer = require("http").createServer((req, res) => {
+				res.statusCode = 404;
+				res.end();
+			}).listen(0);
+			const webhook = `http://localhost:${webhookServer.address().port}/webhook`;
+			const response = await webhookQueue.enqueue({ webhook, "url": `${webhook}/messages/1`, "method": "DELETE" });
+			webhookServer.close();
+			assert.deepEqual(response, {});
+		});
+	});
+	describe("notifier.js", () => {
+		it("Sends notifications through the transports configured for their category", async () => {
+			const { config } = require("./../util/config.js");
+			const notifier = require("./../util/notifier.js");
+			let json, email = "", connections = 0;
+			const webhookServer = require("http").createServer((req, res) => {
+				let body = "";
+				req.on("data", chunk => body += chunk);
+				req.on("end", () => {
+					json = JSON.parse(body);
+					res.end("{}");
+				});
+			}).listen(0);
+			const smtpServer = require("net").createServer((socket) => { // (just enough SMTP to accept one email, after turning the first attempt away)
+				let data = false;
+				if (++connections === 1) return socket.end("421 Try again later\r\n");
+				socket.write("220 localhost\r\n");
+				socket.on("data", (chunk) => {
+					const text = chunk.toString();
+					if (data) {
+						email += text;
+						if (email.endsWith("\r\n.\r\n")) {
+							data = false;
+							socket.write("250 OK\r\n");
+						}
+					} else if (text.startsWith("DATA")) {
+						data = true;
+						socket.write("354 Go ahead\r\n");
+					} else if (text.startsWith("QUIT")) {
+						socket.end("221 Bye\r\n");
+					} else {
+						socket.write(text.startsWith("AUTH") ? "235 OK\r\n" : "250 OK\r\n");
+					}
+				});
+			}).listen(0);
+			config.transports.push({ "type": "webhook", "active": true, "categories": ["status"], "url": `http://localhost:${webhookServer.address().port}/`, "headers": {} });
+			config.transports.push({ "type": "smtp", "active": true, "categories": [], "smtp": { "host": "localhost", "port": smtpServer.address().port, "secure": false, "from": "proxy@localhost", "to": ["team@localhost"] } });
+			config.discord.delivery.retryInterval = 0.05;
+			assert.equal(notifier.sendWebhook({ title: "Chat", category: "livechat" }), undefined); // (not sent to transports that don't list livechat)
+			await notifier.sendWebhook({ title: "Spam", category: "spam" }); // (only goes to smtp)
+			assert.equal(json, undefined);
+			await notifier.sendWebhook({ title: "Connected", description: "Joined the server.", category: "status" });
+			config.transports.splice(0);
+			config.discord.delivery.retryInterval = 2;
+			webhookServer.close();
+			smtpServer.close();
+			assert.equal(json.title, "Connected");
+			assert.equal(json.category, "status");
+			assert.ok(email.includes("Joined the server."));
+			assert.equal(connections, 3); // (retried the first email)
+		});
+		it("Saves undelivered requests without credentials and drops them once their transport is gone", async () => {
+			const fs = require("fs");
+			const { config } = require("./../util/config.js");
+			const logger = require("./../util/logger.js");
+			const notifier = require("./../util/notifier.js");
+			const webhookQueue = require("./../util/webhookQueue.js");
+			let requests = 0;
+			const gotifyServer = require("http").createServer((req, res) => {
+				requests++;
+				res.statusCode = 500;
+				res.end();
+			}).listen(0);
+			config.discord.delivery.retryInterval = 0.5;
+			config.transports.push({ "type": "gotify", "active": true, "categories": [], "url": `http://localhost:${gotifyServer.address().port}/`, "token": "secret-token" });
+			const delivery = notifier.sendWebhook({ title: "Undelivered", category: "spam" });
+			while (requests === 0) await new Promise(resolve => setTimeout(resolve, 10)); // (wait for the first attempt to fail)
+			webhookQueue.saveQueue();
+			const saved = fs.readFileSync(logger.getDirectory("webhooks") + "queue.json", "utf-8");
+			config.transports.splice(0);
+			await delivery;
+			gotifyServer.close();
+			config.discord.delivery.retryInterval = 2;
+			assert.ok(!saved.includes("secret-token"));
+			assert.ok(!saved.includes("localhost"));
+			assert.deepEqual(JSON.parse(saved)[0].transport, { "type": "gotify", "transport": 0 });
+			assert.equal(requests, 1); // (not retried once the transport was removed)
+			assert.equal(webhookQueue.getPending(), 0);
+		});
+		it("Delivers the notifications of every account with the account's own webhooks", async () => {
+			const { config } = require("./../util/config.js");
+			const notifier = require("./../util/notifier.js");
+			let received = {};
+			const webhookServer = require("http").createServer((req, res) => {
+				let body = "";
+				req.on("data", chunk => body += chunk);
+				req.on("end", () => {
+					received[req.url] = JSON.parse(body).embeds[0].title;
+					res.end("{}");
+				});
+			}).listen(0);
+			const webhook = (name) => ({ "discord": { "active": true, "webhook": { "spam": `http://localhost:${webhookServer.address().port}/${name}` } } });
+			config.accounts.push(Object.assign({ "account": { "username": "First" }, "proxy": { "port": 25570 } }, webhook("first")));
+			config.accounts.push(Object.assign({ "account": { "username": "Second" }, "proxy": { "port": 25571 } }, webhook("second")));
+			const request = (account, title) => notifier.handleAccountRequest({ // (what accounts run by util/accounts.js send for a Discord notification)
+				"type": "enqueue",
+				"data": { "transport": { "type": "discord", "category": "spam", account }, "body": { "embeds": [{ title }] } }
+			});
+			await Promise.all([request(0, "From First"), request(1, "From Second")]);
+			assert.equal(await request(2, "From nobody"), undefined); // (dropped, the account doesn't exist)
+			config.accounts.splice(0);
+			webhookServer.close();
+			assert.deepEqual(received, { "/first?wait=true": "From First", "/second?wait=true": "From Second" });
+		});
+		it("Refuses to log in to SMTP servers without TLS", async () => {
+			const smtp = require("./../util/smtp.js");
+			let commands = "";
+			const smtpServer = require("net").createServer((socket) => { // (doesn't offer STARTTLS)
+				socket.write("220 localhost\r\n");
+				socket.on("data", (chunk) => {
+					commands += chunk.toString();
+					socket.write("250 OK\r\n");
+				});
+			}).listen(0);
+			const settings = { "host": "localhost", "port": smtpServer.address().port, "secure": false, "username": "proxy", "password": "hunter2", "allowInsecureAuth": false, "from": "proxy@localhost", "to": ["team@localhost"] };
+			await assert.rejects(smtp.sendMail(settings, { "subject": "Test", "text": "Test" }), /unencrypted/);
+			smtpServer.close();
+			assert.ok(commands.startsWith("EHLO"));
+			assert.ok(!commands.includes("AUTH"));
+		});
+		it("Fills in event templates and applies their routing rules", async () => {
+			const { config } = require("./../util/config.js");
+			const notifier = require("./../util/notifier.js");
+			let json;
+			const webhookServer = require("http").createServer((req, res) => {
+				let body = "";
+				req.on("data", chunk => body += chunk);
+				req.on("end", () => {
+					json = JSON.parse(body);
+					res.end("{}");
+				});
+			}).listen(0);
+			config.transports.push({ "type": "webhook", "name": "team", "active": true, "categories": ["status"], "url": `http://localhost:${webhookServer.address().port}/`, "headers": {} });
+			Object.assign(config.notifications.queuePosition, { "transports": ["team"], "maxPosition": 10 });
+			assert.equal(notifier.notify("queuePosition", { "position": 50 }), undefined);
+			await notifier.notify("queuePosition", { "position": 5, "eta": "1m", "predictedEta": "2m" });
+			config.transports.splice(0);
+			config.notifications.queuePosition.transports = [];
+			delete config.notifications.queuePosition.maxPosition;
+			webhookServer.close();
+			assert.equal(json.title, "2B2T Queue Position: 5");
+			assert.equal(json.description, "ETA: 1m (Predicted: 2m)");
+			assert.equal(notifier.fillTemplate("{player} {unknown}", { "player": "UnitTester" }), "UnitTester {unknown}");
+		});
+	});
+	describe("tracker.js", () => {
+		it("Ignores whitelisted players in visual range alerts", () => {
+			const tracker = require("./../util/tracker.js");
+			assert.ok(tracker.isIgnored("unittester"));
+			assert.ok(!tracker.isIgnored("Stranger"));
+			assert.deepEqual(tracker.getPlayersInRange(), []);
+		});
+		it("Saves sightings to the visual range log", async () => {
+			const fs = require("fs");
+			const { EventEmitter } = require("events");
+			const { config } = require("./../util/config.js");
+			const logger = require("./../util/logger.js");
+			const tracker = require("./../util/tracker.js");
+			const file = logger.getDirectory("visualRange") + logger.getTimestamp(true) + ".jsonl";
+			fs.rmSync(file, { force: true });
+			const { visualRange } = config;
+			config.visualRange = Object.assign({}, visualRange, { "active": true, "alert": false });
+			const bot = new EventEmitter();
+			bot.game = { "dimension": "minecraft:overworld" };
+			const entity = { "id": 42, "type": "player", "username": "Stranger", "uuid": "00000000-0000-0000-0000-000000000042", "position": { "x": 10.4, "y": 64, "z": -20.6 } };
+			const now = Date.now;
+			const start = now();
+			try {
+				tracker.watch(bot);
+				Date.now = () => start;
+				bot.emit("entitySpawn", entity);
+				assert.deepEqual(tracker.getPlayersInRange(), ["Stranger"]);
+				Date.now = () => start + 90 * 1000; // (in range for a minute and a half)
+				bot.emit("entityGone", Object.assign({}, entity, { "position": { "x": 30, "y": 70, "z": 5.5 } }));
+			} finally {
+				Date.now = now;
+				config.visualRange = visualRange;
+			}
+			assert.deepEqual(tracker.getPlayersInRange(), []);
+			for (let i = 0; i < 50 && !(fs.existsSync(file) && fs.readFileSync(file, "utf-8").endsWith("\n")); i++) await new Promise(resolve => setTimeout(resolve, 20)); // (sightings are appended asynchronously)
+			const sightings = fs.readFileSync(file, "utf-8").trim().split("\n").map(line => JSON.parse(line));
+			assert.equal(sightings.length, 1);
+			assert.equal(sightings[0].username, "Stranger");
+			assert.equal(sightings[0].dimension, "minecraft:overworld");
+			assert.equal(sightings[0].duration, 90);
+			assert.equal(sightings[0].firstSeen, new Date(start).toISOString());
+			assert.deepEqual(sightings[0].firstPosition, { "x": 10, "y": 64, "z": -21 });
+			assert.deepEqual(sightings[0].lastPosition, { "x": 30, "y": 70, "z": 6 });
+		});
+	});
+	describe("logger.js", () => {
+		it("Compresses log files once they're rotated", async () => {
+			const fs = require("fs");
+			const zlib = require("zlib");
+			const { config } = require("./../util/config.js");
+			const logger = require("./../util/logger.js");
+			config.log.cutoff = 0.001;
+			config.log.compression.active = true;
+			logger.log("test", "rotated", "error");
+			await logger.flush();
+			config.log.cutoff = 69000;
+			config.log.compression.active = false;
+			const dir = logger.createDirectory("error");
+			const files = fs.readdirSync(dir).filter(f => f.endsWith(".log.gz")).sort((a, b) => fs.statSync(dir + a).mtimeMs - fs.statSync(dir + b).mtimeMs);
+			assert.match(zlib.gunzipSync(fs.readFileSync(dir + files.pop())).toString(), /\[test\] "rotated"\n$/);
+			assert.ok(!fs.readdirSync(dir).some(f => f.endsWith(".tmp"))); // (archives are only renamed into place once they're complete)
+		});
+		it("Rotates log files that are too old even if nothing else is logged", async () => {
+			const fs = require("fs");
+			const { config } = require("./../util/config.js");
+			const logger = require("./../util/logger.js");
+			logger.log("test", "idle", "error");
+			await logger.flush();
+			const file = logger.getOpenFiles().find(path => path.startsWith(logger.getDirectory("error")));
+			assert.match(fs.readFileSync(file, "utf-8"), /\[test\] "idle"\n$/);
+			config.log.rotateInterval = 0.00001; // (36 ms)
+			await new Promise(resolve => setTimeout(resolve, 50));
+			await logger.flush();
+			config.log.rotateInterval = 24;
+			assert.notEqual(logger.getOpenFiles().find(path => path.startsWith(logger.getDirectory("error"))), file);
+		});
+		it("Finds JSON Lines and text entries with the logs command", async () => {
+			const { config } = require("./../util/config.js");
+			const logger = require("./../util/logger.js");
+			const { queryLogs, parseArguments } = require("./../scripts/logs.js");
+			config.log.format = "jsonl";
+			logger.log("queryTest", { "position": 420 }, "error");
+			config.log.format = "text";
+			logger.log("queryTest", { "position": 69 }, "error");
+			await logger.flush();
+			const file = logger.getOpenFiles().find(path => path.startsWith(logger.getDirectory("error")));
+			require("fs").appendFileSync(file, "[19.10.2026 14:03:12] [queryTest] {\"position\":7}\n"); // (locale-dependent timestamp from an older version)
+			const { filters } = parseArguments(["--category", "error", "--name", "queryTest", "--from", new Date(Date.now() - 60000).toISOString()]);
+			let entries = [];
+			for await (const entry of queryLogs(filters)) entries.push(entry);
+			assert.deepEqual(entries.slice(-3).map(entry => entry.data.position), [420, 69, 7]);
+			assert.equal(entries[entries.length - 3].account, config.account.username);
+			assert.ok(entries[entries.length - 2].time >= filters.from); // (text timestamps are ISO)
+			assert.ok(isNaN(entries[entries.length - 1].time)); // (kept, since it can't be told apart from a match)
+		});
+	});
+	describe("retention.js", () => {
+		it("Deletes logs that are older than the retention rule allows", async () => {
+			const fs = require("fs");
+			const { config } = require("./../util/config.js");
+			const logger = require("./../util/logger.js");
+			const retention = require("./../util/retention.js");
+			const dir = logger.createDirectory("visualRange");
+			fs.writeFileSync(dir + "01-01-2000.jsonl", "{}\n");
+			fs.utimesSync(dir + "01-01-2000.jsonl", new Date(2000, 0, 1), new Date(2000, 0, 1));
+			fs.writeFileSync(dir + "01-02-2000.jsonl", "{}\n");
+			config.retention.categories.visualRange = { "maxAge": 7 };
+			await retention.enforce();
+			delete config.retention.categories.visualRange;
+			assert.equal(fs.existsSync(dir + "01-01-2000.jsonl"), false);
+			assert.equal(fs.existsSync(dir + "01-02-2000.jsonl"), true);
+			fs.unlinkSync(dir + "01-02-2000.jsonl");
+		});
+		it("Applies retention rules to recordings and keeps the world downloader archive that's open", async () => {
+			const fs = require("fs");
+			const { config } = require("./../util/config.js");
+			const logger = require("./../util/logger.js");
+			const downloader = require("./../util/downloader.js");
+			const retention = require("./../util/retention.js");
+			const recording = logger.createDirectory("recordings") + "2000-01-01T00-00-00.000Z.2b2wrec.gz";
+			fs.writeFileSync(recording, "");
+			fs.utimesSync(recording, new Date(2000, 0, 1), new Date(2000, 0, 1));
+			downloader.mapChunkPacketHandler({ "x": 0, "z": 0, "groundUp": true, "bitMap": 0, "chunkData": [], "blockEntities": [] });
+			await downloader.flush();
+			const [archive] = downloader.getOpenFiles();
+			assert.ok(archive.startsWith(logger.getDirectory("worldDownloader"))); // (saved with this proxy's logs, not the ones of every account)
+			fs.utimesSync(archive, new Date(2000, 0, 1), new Date(2000, 0, 1));
+			config.retention.categories = { "recordings": { "maxAge": 7 }, "worldDownloader": { "maxAge": 7 } };
+			await retention.enforce();
+			config.retention.categories = {};
+			assert.equal(fs.existsSync(recording), false);
+			assert.equal(fs.existsSync(archive), true);
+			fs.unlinkSync(archive);
+		});
+	});
+	describe("panic.js", () => {
+		/**
+		 * Create a fake Mineflayer bot that's standing at x = 0
+		 * @returns {object} Fake bot
+		 */
+		const createBot = () => {
+			const { EventEmitter } = require("events");
+			const bot = new EventEmitter();
+			bot.entity = { "type": "player", "username": "UnitTester", "position": createPosition(0) };
+			bot.entities = { "0": bot.entity };
+			bot.health = 20;
+			bot.inventory = { "slots": [] };
+			bot.nearestEntity = (filter) => Object.values(bot.entities).find(filter);
+			return bot;
+		};
+		/**
+		 * Create a fake Vec3 (only x is used to measure distance)
+		 * @param {number} x X coordinate
+		 * @returns {object} Fake position
+		 */
+		const createPosition = (x) => ({ x, "distanceTo": (other) => Math.abs(other.x - x) });
+		it("Panics once per connection, and only while nobody is controlling the proxy", () => {
+			const { config, status } = require("./../util/config.js");
+			const panic = require("./../util/panic.js");
+			const { controller, inQueue } = status;
+			const settings = config.panic;
+			const reconnects = [];
+			panic.initialize({ "reconnect": (delay) => reconnects.push(delay) });
+			const bot = createBot();
+			const other = createBot();
+			try {
+				config.panic = Object.assign({}, settings, { "active": true, "health": 8, "playerDamage": true, "unknownPlayers": false, "outOfTotems": false, "cooldown": 60 });
+				panic.watch(bot);
+				panic.watch(other);
+				// Low health
+				bot.health = 2;
+				status.controller = "UnitTester";
+				status.inQueue = "false";
+				bot.emit("health");
+				status.controller = "None";
+				status.inQueue = "true";
+				bot.emit("health");
+				assert.deepEqual(reconnects, []); // (someone's in control, or the bot is still in queue)
+				status.inQueue = "false";
+				bot.health = 10;
+				bot.emit("health");
+				assert.deepEqual(reconnects, []);
+				bot.health = 5;
+				bot.emit("health");
+				bot.emit("health");
+				assert.deepEqual(reconnects, [60]); // (until the bot reconnects after the cooldown)
+				// Damage from a player
+				other.entities["1"] = { "type": "player", "username": "Stranger", "position": createPosition(10) };
+				other.emit("entityHurt", other.entity);
+				assert.deepEqual(reconnects, [60]); // (too far away to have attacked)
+				other.entities["1"].position = createPosition(3);
+				other.emit("entityHurt", other.entities["1"]);
+				assert.deepEqual(reconnects, [60]); // (someone else got hurt)
+				other.emit("entityHurt", other.entity);
+				assert.deepEqual(reconnects, [60, 60]);
+			} finally {
+				bot.emit("end");
+				other.emit("end");
+				config.panic = settings;
+				status.controller = controller;
+				status.inQueue = inQueue;
+			}
+		});
+		it("Panics when untrusted players are in render distance or the bot runs out of totems", async function () {
+			this.timeout(5000);
+			const { config, status } = require("./../util/config.js");
+			const panic = require("./../util/panic.js");
+			const { controller, inQueue } = status;
+			const settings = config.panic;
+			const reconnects = [];
+			panic.initialize({ "reconnect": (delay) => reconnects.push(delay) });
+			const stranger = createBot(); // (an untrusted player is in render distance)
+			const friend = createBot(); // (only trusted players are in render distance)
+			const totems = createBot(); // (uses up its last totem)
+			const noTotems = createBot(); // (never had any totems)
+			try {
+				config.panic = Object.assign({}, settings, { "active": true, "health": 0, "playerDamage": false, "unknownPlayers": true, "trustedPlayers": ["Friend"], "outOfTotems": true, "cooldown": 60 });
+				status.controller = "None";
+				status.inQueue = "false";
+				stranger.entities["1"] = { "type": "player", "username": "Stranger", "position": createPosition(50) };
+				friend.entities["1"] = { "type": "player", "username": "friend", "position": createPosition(50) };
+				totems.inventory.slots = [null, { "name": "totem_of_undying", "count": 1 }];
+				[stranger, friend, totems, noTotems].forEach(bot => panic.watch(bot));
+				await new Promise(resolve => setTimeout(resolve, 1100)); // (checked every second)
+				assert.deepEqual(reconnects, [60]);
+				totems.inventory.slots = [null, null];
+				await new Promise(resolve => setTimeout(resolve, 1000));
+				assert.deepEqual(reconnects, [60, 60]);
+			} finally {
+				[stranger, friend, totems, noTotems].forEach(bot => bot.emit("end"));
+				config.panic = settings;
+				status.controller = controller;
+				status.inQueue = inQueue;
+			}
+		});
+	});
+	describe("control.js", () => {
+		it("Decides who takes control, spectates, or gets demoted by their place in the whitelist", () => {
+			const { config } = require("./../util/config.js");
+			const control = require("./../util/control.js");
+			const { proxy } = config;
+			try {
+				config.proxy = Object.assign({}, proxy, {
+					"whitelist": ["Alice", "Bob", "Carol"],
+					"takeover": { "active": true, "demoteTo": "spectator" },
+					"spectator": { "active": true, "maxSpectators": 1 }
+				});
+				assert.equal(control.getPriority("bob"), 1);
+				assert.equal(control.getPriority("Mallory"), -1);
+				assert.ok(control.canTakeOver("Alice", "Bob"));
+				assert.ok(!control.canTakeOver("Carol", "Bob"));
+				assert.ok(!control.canTakeOver("Mallory", "Carol"));
+				assert.ok(control.canSpectate(0));
+				assert.ok(!control.canSpectate(1)); // (full)
+				assert.ok(control.canDemoteToSpectator(0));
+				assert.ok(!control.canDemoteToSpectator(1)); // (disconnected, since spectating is full)
+				config.proxy.takeover = { "active": false, "demoteTo": "disconnect" };
+				assert.ok(!control.canTakeOver("Alice", "Bob"));
+				assert.ok(!control.canDemoteToSpectator(0));
+				config.proxy.spectator = { "active": false, "maxSpectators": 1 };
+				assert.ok(!control.canSpectate(0));
+			} finally {
+				config.proxy = proxy;
+			}
+		});
 	});
 	describe("proxy.js", () => {
 		it("Can perform login sequence", async function () {
@@ -47,6 +735,21 @@ describe("2Bored2Wait Testing", () => {
 			console.log(`Received Login: ${username}`);
 			assert.equal(username, "UnitTester");
 		});
+		it("Disconnects from the server and exits cleanly when stopped", async function () {
+			this.timeout(13000);
+			const disconnected = Object.values(server.clients).map(client => new Promise(resolve => client.once("end", resolve)));
+			const exit = process.exit;
+			try {
+				const code = await new Promise(resolve => {
+					process.exit = resolve;
+					process.emit("SIGTERM");
+				});
+				assert.equal(code, 0);
+			} finally {
+				process.exit = exit;
+			}
+			await Promise.all(disconnected);
+		});
 	});
 });
 
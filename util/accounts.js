@@ -0,0 +1,190 @@
+// =======
+// Imports
+// =======
+
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const { config } = require("./config.js");
+const notifier = require("./notifier.js");
+const webserver = require("./webserver.js");
+
+// ===========
+// Global Vars
+// ===========
+
+const livechatRelayLock = new Int32Array(new SharedArrayBuffer(4)); // Index + 1 of the account that's the designated livechat relayer (0 if none)
+let accountStatus = []; // Latest status object of every account
+let workers = []; // Worker running each account
+let shuttingDown = false; // Whether every account is being stopped
+let pages = new Map(); // Page requests waiting for an account to answer ({ res, timer }, keyed by id)
+let nextPage = 0; // Id of the next page request
+
+// ==============
+// Initialization
+// ==============
+
+// Relay every account's web interface between its namespace (/account/<index>) and its worker
+config.accounts.forEach((account, index) => {
+	webserver.io().of(`/account/${index}`).use(webserver.authorizedSocket).on("connection", (client) => relayClient(index, client));
+});
+
+// Serve the pages of every account (e.g. /account/0/metrics)
+webserver.app.get("/account/:index/:page", (req, res) => {
+	if (!webserver.authorized(req, res)) return;
+	const worker = workers[parseInt(req.params.index)];
+	if (typeof worker === "undefined") return res.sendStatus(404);
+	const id = nextPage++;
+	pages.set(id, {
+		res,
+		"timer": setTimeout(() => {
+			pages.delete(id);
+			res.sendStatus(504);
+		}, 10000)
+	});
+	worker.postMessage({ "http": { id, "page": "/" + req.params.page, "query": req.query } });
+});
+
+// Start every account in config.accounts
+config.accounts.forEach((account, index) => {
+	accountStatus[index] = {};
+	startAccount(index);
+});
+
+// Stop every account cleanly when the process is stopped (a second Ctrl-C exits immediately)
+process.once("SIGINT", () => shutdown("SIGINT"));
+process.once("SIGTERM", () => shutdown("SIGTERM"));
+
+// =========
+// Functions
+// =========
+
+/**
+ * Run an account's proxy in its own worker thread
+ * @param {number} index Index of the account in config.accounts
+ */
+function startAccount(index) {
+	const worker = workers[index] = new Worker(path.join(__dirname, "../proxy.js"), {
+		"workerData": {
+			"accountIndex": index,
+			livechatRelayLock
+		}
+	});
+	// Keep track of the account's status, and relay its web interface and notifications
+	worker.on("message", (msg) => {
+		if (msg.status) {
+			accountStatus[index] = msg.status;
+			if (!config.noCliGui) updateGui();
+		}
+		if (msg.web) relayWebEvent(index, msg.web);
+		if (msg.http) answerPage(msg.http);
+		if (msg.notifier) {
+			notifier.handleAccountRequest(msg.notifier).catch((error) => {
+				console.error(`[${config.accounts[index].account.username}]`, error);
+			}).then((result) => {
+				if (workers[index] === worker) worker.postMessage({ "notifier": { "id": msg.notifier.id, result } });
+			});
+		}
+	});
+	// Let the account know about web interface clients that are already connected (e.g. it was restarted)
+	webserver.io().of(`/account/${index}`).sockets.forEach((client) => {
+		worker.postMessage({ "web": { "client": client.id, "event": "connection" } });
+	});
+	worker.on("error", (error) => {
+		console.error(`[${config.accounts[index].account.username}]`, error);
+	});
+	// Release the livechat relay and restart the account if its proxy exits (e.g. reconnect.exitProcess is true)
+	worker.on("exit", (code) => {
+		Atomics.compareExchange(livechatRelayLock, 0, index + 1, 0);
+		accountStatus[index] = {};
+		workers[index] = undefined;
+		if (shuttingDown) {
+			if (workers.every(worker => typeof worker === "undefined")) process.exit(0);
+			return;
+		}
+		if (config.reconnect.exitProcess) {
+			console.log(`[${config.accounts[index].account.username}] Proxy exited with code ${code}, restarting.`);
+			startAccount(index);
+		}
+	});
+}
+
+/**
+ * Relay the events of a web interface client to the worker of the account it's viewing
+ * @param {number} index Index of the account in config.accounts
+ * @param {object} client Socket.io client
+ */
+function relayClient(index, client) {
+	const post = (event, args = []) => {
+		if (typeof workers[index] !== "undefined") workers[index].postMessage({ "web": { "client": client.id, event, args } });
+	};
+	client.emit("updateAccounts", config.accounts.map(account => account.account.username));
+	post("connection");
+	client.onAny((event, ...args) => post(event, args));
+	client.on("disconnect", () => post("disconnect"));
+}
+
+/**
+ * Send a web interface event from an account's worker to its namespace
+ * @param {number} index Index of the account in config.accounts
+ * @param {object} web Event ({ client, event, args }, sent to every client of the account if client is undefined)
+ */
+function relayWebEvent(index, web) {
+	const namespace = webserver.io().of(`/account/${index}`);
+	if (typeof web.client === "undefined") {
+		namespace.emit(web.event, ...web.args);
+	} else if (namespace.sockets.has(web.client)) {
+		namespace.sockets.get(web.client).emit(web.event, ...web.args);
+	}
+}
+
+/**
+ * Answer a page request with the response from an account's worker
+ * @param {object} page Response ({ id, response }, response is undefined if the account doesn't serve the page)
+ */
+function answerPage(page) {
+	const pending = pages.get(page.id);
+	if (typeof pending === "undefined") return;
+	pages.delete(page.id);
+	clearTimeout(pending.timer);
+	if (typeof page.response === "undefined") {
+		pending.res.sendStatus(404);
+	} else {
+		webserver.sendResponse(pending.res, page.response);
+	}
+}
+
+/**
+ * Ask every account to shut down, then exit once they have (or after config.shutdown.timeout seconds)
+ * @param {string} reason Why the proxy is being stopped (e.g. "SIGINT")
+ */
+function shutdown(reason) {
+	shuttingDown = true;
+	console.log("Shutting down every account...");
+	workers.forEach(worker => {
+		if (typeof worker !== "undefined") worker.postMessage({ "shutdown": reason });
+	});
+	if (workers.every(worker => typeof worker === "undefined")) process.exit(0);
+	setTimeout(() => process.exit(1), config.shutdown.timeout * 1000 + 1000).unref(); // (the accounts time out on their own first)
+}
+
+/**
+ * Display a basic CLI GUI for every account
+ */
+function updateGui() {
+	console.clear();
+	console.log("\x1b[36m", `Accounts: ${config.accounts.length} (Last Update: [${new Date().toLocaleString().replace(/\//g, "-").replace(",", "")}])`);
+	config.accounts.forEach((account, index) => {
+		const status = accountStatus[index];
+		console.log("\x1b[37m", `\n${account.account.username} (port ${account.proxy.port})`);
+		if (typeof status.position === "undefined") {
+			console.log("\x1b[33m", "  Starting...");
+			return;
+		}
+		console.log("\x1b[37m", `  Current Controller: ${status.controller}`);
+		console.log("\x1b[33m", `  Current Queue Position: ${status.position} (ETA: ${status.eta}${config.queueHistory.active ? `, Predicted: ${status.predictedEta}` : ""})`);
+		console.log("\x1b[33m", `  Restart: ${status.restart}`);
+		console.log("\x1b[33m", `  In Queue Server: ${status.inQueue.toUpperCase()}`);
+		console.log("\x1b[32m", `  Livechat Relay: ${status.livechatRelay.toUpperCase()}`);
+	});
+}
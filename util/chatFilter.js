@@ -0,0 +1,89 @@
+// =======
+// Imports
+// =======
+
+const { config } = require("./config.js");
+const { countFilteredChat } = require("./metrics.js");
+
+// ===========
+// Global Vars
+// ===========
+
+let recentMessages = new Map(); // When each message was last seen (for dropping duplicates)
+
+// =========
+// Functions
+// =========
+
+/**
+ * Check a chat message against the chat filter
+ * @param {string} msg Chat message (plain text)
+ * @param {number} now Time the message was received (defaults to now)
+ * @returns {object} Destinations the message is filtered from and why (e.g. { "livechat": "denied" })
+ */
+function checkMessage(msg, now = Date.now()) {
+	let filtered = {};
+	if (!config.chatFilter.active) return filtered;
+	const sender = getSender(msg);
+	const duplicate = isDuplicate(msg, now);
+	for (const destination in config.chatFilter.destinations) {
+		const rules = config.chatFilter.destinations[destination];
+		if (!rules.active) continue;
+		const reason = getReason(msg, sender, rules) || (duplicate ? "duplicate" : undefined);
+		if (typeof reason === "undefined") continue;
+		filtered[destination] = reason;
+		countFilteredChat(destination, reason);
+	}
+	return filtered;
+}
+
+/**
+ * Work out why a message is filtered from a destination
+ * @param {string} msg Chat message
+ * @param {string} sender Username of the player that sent the message (undefined for server messages)
+ * @param {object} rules Extra rules for the destination
+ * @returns {string} Why the message is filtered ("ignored" or "denied"), or undefined if it isn't
+ */
+function getReason(msg, sender, rules) {
+	const ignored = config.chatFilter.ignorePlayers.concat(rules.ignorePlayers).map(username => username.toLowerCase());
+	if (typeof sender !== "undefined" && ignored.indexOf(sender.toLowerCase()) !== -1) return "ignored";
+	const matches = (pattern) => new RegExp(pattern, "i").test(msg);
+	if (config.chatFilter.allow.concat(rules.allow).some(matches)) return undefined;
+	if (config.chatFilter.deny.concat(rules.deny).some(matches)) return "denied";
+	return undefined;
+}
+
+/**
+ * Check whether a message was already seen within config.chatFilter.duplicateWindow
+ * @param {string} msg Chat message
+ * @param {number} now Time the message was received
+ * @returns {boolean} Whether the message is a duplicate
+ */
+function isDuplicate(msg, now) {
+	const window = config.chatFilter.duplicateWindow * 1000;
+	for (const [seen, time] of recentMessages) { // (forget messages that are outside of the window)
+		if (now - time > window) recentMessages.delete(seen);
+	}
+	const duplicate = recentMessages.has(msg);
+	if (window > 0) recentMessages.set(msg, now);
+	return duplicate;
+}
+
+/**
+ * Get the username of the player that sent a chat message
+ * @param {string} msg Chat message (e.g. "<Notch> hi" or "Notch whispers: hi")
+ * @returns {string} Username (undefined if the message wasn't sent by a player)
+ */
+function getSender(msg) {
+	const match = /^<(\w{1,16})> /.exec(msg) || /^(\w{1,16}) whispers: /.exec(msg);
+	return match ? match[1] : undefined;
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	checkMessage,
+	getSender
+};
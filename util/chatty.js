@@ -1,11 +1,11 @@
 // =======
 // Imports
 // =======
-const fs = require("fs");
-
-const { config, status, updateStatus } = require("./config.js");
+const { config, status, updateStatus, claimLivechatRelay } = require("./config.js");
 const logger = require("./logger.js");
 const notifier = require("./notifier.js");
+const chatFilter = require("./chatFilter.js");
+const whispers = require("./whispers.js");
 const { updateWebChat } = require("./webserver.js");
 const ChatMessage = require("prismarine-chat")(config.server.version);
 
@@ -21,34 +21,22 @@ function chatPacketHandler(packetData) {
 	// Parse chat messages
 	const msgObj = JSON.parse(packetData.message);
 	const msg = ChatMessage.fromNotch(msgObj).toString();
-
-	// Notify about server restarts (haven't been tested in a long time due to restarts being less common)
-	if (msg && msg.startsWith("[SERVER] Server restarting in ")) {
-		let restart = msg.replace("[SERVER] Server restarting in ", "").replace(" ...", "");
-		if (updateStatus("restart", restart)) {
-			notifier.sendToast(`Server Restart In: ${status.restart}`);
-			notifier.sendWebhook({
-				title: `Server Restart In: ${status.restart}`,
-				ping: true,
-				category: "spam"
-			});
-		}
-	}
+	const filtered = chatFilter.checkMessage(msg);
+	const whisper = whispers.handleMessage(msg);
 
 	// Livechat webhook relay, if not in queue.
 	if (status.inQueue === "false") {
-		// If coordination is active...
-		if (config.coordination.active) {
+		// If coordination is active (or this is one of several accounts run by util/accounts.js)...
+		if (config.coordination.active || config.accounts.length > 0) {
 			// If no proxy in the pool is the designated livechat relayer, make this one the one
-			const flagPath = config.coordination.path + "coordinator.flag";
-			if (status.livechatRelay === "false" && !fs.existsSync(flagPath)) {
+			if (status.livechatRelay === "false" && claimLivechatRelay()) {
 				updateStatus("livechatRelay", "true");
 			}
 			// Relay livechat if this proxy is the designated livechat relayer
-			if (status.livechatRelay === "true") {
+			if (status.livechatRelay === "true" && !filtered.livechat) {
 				updateLivechatWebhook(msg);
 			}
-		} else {
+		} else if (!filtered.livechat) {
 			updateLivechatWebhook(msg);
 		}
 	} else {
@@ -56,12 +44,15 @@ function chatPacketHandler(packetData) {
 	}
 
 	// Log message
-	logger.log("chat", msg, "chat");
-	//Log death messages and server messages i'll find a way to keep this inside webserver.js
-	if (!msg.startsWith('<')) {
-		const name = msg.split(" ");
-		if (name[1] === "whispers:") return;
-		updateWebChat(name[0], msg);
+	if (!filtered.chatLog) logger.log("chat", msg, "chat");
+	// Web chat (player messages, death messages, and server messages). Whispers have their own panel
+	if (!filtered.webChat && !whisper) {
+		const playerMessage = /^<(\w{1,16})> (.*)$/s.exec(msg);
+		if (playerMessage) {
+			updateWebChat(playerMessage[1], playerMessage[2]);
+		} else {
+			updateWebChat(msg.split(" ")[0], msg);
+		}
 	}
 }
 
@@ -71,24 +62,27 @@ function chatPacketHandler(packetData) {
  */
 function updateLivechatWebhook(msg) {
 	if (msg.trim().length > 0) {
-		notifier.sendWebhook({
-			"description": escapeMarkdown(msg),
-			"category": "livechat",
-			"disableAttribution": true
-		});
+		notifier.notify("livechat", { "message": notifier.escapeMarkdown(msg) }, { "coalesce": true });
 	}
 }
 
 /**
- * Escape Discord markdown (and emojis)
- * @param {string} text Unescaped string
- * @returns {string} Escaped string
- * {@link https://stackoverflow.com/a/39543625}
+ * Send a system chat message to a client connected to the local server (the message is never sent to the server)
+ * @param {object} bridgeClient Client connected to the local server
+ * @param {string} msg Message to send
  */
-function escapeMarkdown(text) {
-	const unescaped = text.replace(/\\(\*|_|:|`|~|\\)/g, "$1"); // Unescape backslashed characters
-	const escaped = unescaped.replace(/(\*|_|:|`|~|\\)/g, "\\$1"); // Escape *, _, :, `, ~, \
-	return escaped;
+function sendLocalChat(bridgeClient, msg) {
+	bridgeClient.write("chat", {
+		"message": JSON.stringify({
+			"text": "[2B2W] ",
+			"color": "gold",
+			"extra": [{
+				"text": msg,
+				"color": "gray"
+			}]
+		}),
+		"position": 1
+	});
 }
 
 // =======
@@ -96,5 +90,6 @@ function escapeMarkdown(text) {
 // =======
 
 module.exports = {
-	chatPacketHandler
+	chatPacketHandler,
+	sendLocalChat
 };
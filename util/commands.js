@@ -0,0 +1,155 @@
+// =======
+// Imports
+// =======
+
+const { config, status } = require("./config.js");
+const { usernameSchema } = require("./schemas.js");
+const logger = require("./logger.js");
+const chatty = require("./chatty.js");
+const { getEtaText } = require("./queue.js");
+const { updateWebStatus, serverInfo } = require("./webserver.js");
+
+// ===========
+// Global Vars
+// ===========
+
+let proxy = {}; // Functions from proxy.js that commands need (reconnect, startMineflayer, stopMineflayer, giveControl)
+
+// Proxy commands, keyed by name
+const commands = {
+	"help": {
+		"usage": "help",
+		"description": "List proxy commands",
+		"run": (args, reply) => {
+			for (const name in commands) {
+				reply(`${config.commands.prefix} ${commands[name].usage} - ${commands[name].description}`);
+			}
+		}
+	},
+	"status": {
+		"usage": "status",
+		"description": "Show the proxy's status",
+		"run": (args, reply) => {
+			reply(`In Queue: ${status.inQueue}, Position: ${status.position}, ETA: ${getEtaText()}`);
+			reply(`Controller: ${status.controller}, Spectators: ${status.spectators}`);
+			reply(`Mineflayer Running: ${status.mineflayer}, Restart: ${status.restart}`);
+		}
+	},
+	"eta": {
+		"usage": "eta",
+		"description": "Show the queue position and ETA",
+		"run": (args, reply) => {
+			reply(`Position: ${status.position}, ETA: ${getEtaText()}`);
+		}
+	},
+	"reconnect": {
+		"usage": "reconnect",
+		"description": "Reconnect to the server",
+		"run": (args, reply) => {
+			reply("Reconnecting...");
+			proxy.reconnect();
+		}
+	},
+	"mineflayer": {
+		"usage": "mineflayer <on|off>",
+		"description": "Start or stop Mineflayer",
+		"run": (args, reply) => {
+			if (args[0] === "on") {
+				proxy.startMineflayer();
+			} else if (args[0] === "off") {
+				proxy.stopMineflayer();
+			} else {
+				reply(`Usage: ${config.commands.prefix} ${commands.mineflayer.usage}`);
+				return;
+			}
+			reply(`Mineflayer Running: ${status.mineflayer}`);
+		}
+	},
+	"whitelist": {
+		"usage": "whitelist <list|add|remove> [playername]",
+		"description": "Show or edit the whitelist",
+		"run": (args, reply) => {
+			const whitelist = config.proxy.whitelist;
+			const username = args[1] || "";
+			const index = whitelist.findIndex(needle => username.toLowerCase() === needle.toLowerCase());
+			if (args[0] === "list") {
+				reply(`Whitelist: ${whitelist.join(", ")}`);
+				return;
+			} else if (args[0] === "add" && !usernameSchema.validate(username).error) {
+				if (index === -1) whitelist.push(username);
+				reply(`Added ${username} to the whitelist.`);
+			} else if (args[0] === "remove" && index !== -1) {
+				whitelist.splice(index, 1);
+				reply(`Removed ${username} from the whitelist.`);
+			} else {
+				reply(`Usage: ${config.commands.prefix} ${commands.whitelist.usage}`);
+				return;
+			}
+			updateWebStatus("updateWhitelist", serverInfo.whitelist);
+		}
+	},
+	"tunnel": {
+		"usage": "tunnel",
+		"description": "Show the ngrok tunnel url",
+		"run": (args, reply) => {
+			reply(`Ngrok URL: ${status.ngrokUrl}`);
+		}
+	},
+	"control": {
+		"usage": "control <playername>",
+		"description": "Give control of the proxy to a spectator",
+		"run": (args, reply) => {
+			if (!args[0] || !proxy.giveControl(args[0])) {
+				reply(`Usage: ${config.commands.prefix} ${commands.control.usage} (the player must be spectating)`);
+			}
+		}
+	}
+};
+
+// =========
+// Functions
+// =========
+
+/**
+ * Give commands access to the proxy
+ * @param {object} proxyFunctions Functions from proxy.js
+ * @param {Function} proxyFunctions.reconnect Reconnect to the server
+ * @param {Function} proxyFunctions.startMineflayer Start Mineflayer
+ * @param {Function} proxyFunctions.stopMineflayer Stop Mineflayer
+ * @param {Function} proxyFunctions.giveControl Give control of the proxy to a spectator
+ */
+function initialize(proxyFunctions) {
+	proxy = proxyFunctions;
+}
+
+/**
+ * Run a proxy command if a chat message from the controller starts with the command prefix
+ * @param {string} msg Chat message sent by the controller
+ * @param {object} bridgeClient Client that sent the message
+ * @returns {boolean} Whether the message was a proxy command (and therefore shouldn't be sent to the server)
+ */
+function commandHandler(msg, bridgeClient) {
+	// Don't proceed if commands are disabled in config.json or the message isn't a command
+	if (!config.commands.active) return false;
+	const args = msg.trim().split(/\s+/);
+	if (args.shift() !== config.commands.prefix) return false;
+	// Run the command and send the replies to the controller
+	const name = (args.shift() || "help").toLowerCase();
+	const reply = (text) => chatty.sendLocalChat(bridgeClient, text);
+	logger.log("command", `${bridgeClient.username}: ${msg}`, "proxy");
+	if (Object.prototype.hasOwnProperty.call(commands, name)) {
+		commands[name].run(args, reply);
+	} else {
+		reply(`Unknown command "${name}". Use "${config.commands.prefix} help" to list commands.`);
+	}
+	return true;
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	initialize,
+	commandHandler
+};
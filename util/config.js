@@ -3,6 +3,7 @@
 // =======
 
 const fs = require("fs");
+const { isMainThread, parentPort, workerData } = require("worker_threads");
 
 const merge = require("deepmerge");
 const JSON5 = require("json5");
@@ -13,16 +14,37 @@ const { configSchema } = require("./schemas.js");
 // Global Vars
 // ===========
 
+const accountWorker = !isMainThread && typeof workerData.accountIndex !== "undefined"; // Whether this proxy is one of several accounts run by util/accounts.js
+const configPath = `${process.env.CI ?  "./test/test-" : "" }config.json`;
+// Keys that are applied immediately when config.json is reloaded (changes to any other key need a reconnect)
+const liveKeys = [
+	"proxy.whitelist",
+	"notify",
+	"discord",
+	"transports",
+	"notifications",
+	"chatFilter",
+	"log.packetFilters",
+	"retention",
+	"mineflayer.autoEat",
+	"mineflayer.antiAfk",
+	"mineflayer.killAura",
+	"queueThreshold"
+];
+let reloadListeners = [];
+let pendingConfig; // Validated config.json edit with changes that wait for the next reconnect
 const config = processConfig(); // Stores parsed and validated user configuration
 let status = { // Stores pertinent information (to-do: set up setters and getters)
 	"position": "CHECKING...",
 	"eta": "CHECKING...",
+	"predictedEta": "CHECKING...",
 	"restart": "None",
 	"mineflayer": "CHECKING...",
 	"inQueue": "true",
 	"ngrokUrl": "None",
 	"livechatRelay": "false",
-	"controller": "None"
+	"controller": "None",
+	"spectators": "None"
 };
 
 // ======================
@@ -54,15 +76,29 @@ if (process.argv.indexOf("--documentation") !== -1) {
  * @returns {config} Validated config object
  */
 function processConfig() {
+	const { value, error } = readConfig();
+	if (error) { // If error found, print error to console and kill process...
+		if (error.details) printValidationErrors(error, "Stopped proxy");
+		throw new Error(error.message); // Kill the process here
+	}
+	// ... If no errors were found, return the validated config
+	return value;
+}
+
+/**
+ * Read, merge, and validate the config.json (and master-config.json, if provided) without throwing
+ * @returns {object} Validated config object (value) or the error that was encountered (error)
+ */
+function readConfig() {
 	let config;
 	try { // Read config.json
-		config = JSON5.parse(fs.readFileSync(`${process.env.CI ?  "./test/test-" : "" }config.json`));
+		config = JSON5.parse(fs.readFileSync(configPath));
 	} catch (error) { // JSON5 Parsing Error
 		console.error(error);
-		throw new Error(`Couldn't read config.json, likely due to user error near or at line ${error.lineNumber} column ${error.columnNumber}`); // Kill the process here
+		return { "error": new Error(`Couldn't read config.json, likely due to user error near or at line ${error.lineNumber} column ${error.columnNumber}`) };
 	}
 	// If coordination is active...
-	if (config.coordination.active) {
+	if (config.coordination && config.coordination.active) {
 		// ... create coordination path folder(s) if it doesn't exist
 		const dir = config.coordination.path;
 		if (!fs.existsSync(dir)) {
@@ -73,35 +109,209 @@ function processConfig() {
 		// ... and apply master-config.json overrides if provided
 		const masterConfigPath = config.coordination.path + "master-config.json";
 		if (fs.existsSync(masterConfigPath)) {
-			const masterConfig = JSON5.parse(fs.readFileSync(masterConfigPath));
-			config = merge(masterConfig, config);
+			try {
+				const masterConfig = JSON5.parse(fs.readFileSync(masterConfigPath));
+				config = merge(masterConfig, config);
+			} catch (error) {
+				console.error(error);
+				return { "error": new Error(`Couldn't read master-config.json, likely due to user error near or at line ${error.lineNumber} column ${error.columnNumber}`) };
+			}
 		}
 	}
+	// If this is one of several accounts run by util/accounts.js, apply the account's overrides
+	if (accountWorker) {
+		config = mergeAccount(config, config.accounts[workerData.accountIndex]);
+		config.noCliGui = true; // (util/accounts.js draws the cli gui for every account)
+	}
 	// Validate the config with Joi
 	const validationResult = configSchema.validate(config, { // Validate schema
 		"abortEarly": false, // (find all errors)
 		"allowUnknown": true // (allow undefined values (we'll set defaults where we can))
 	});
-	const validationErrors = validationResult.error;
-	if (validationErrors) { // If error found, print error to console and kill process...
-		if (validationErrors.details.length == 1) {
-			console.log("\x1b[36m", "Stopped proxy, encountered an error in config.json (you must fix it): \n");
+	if (validationResult.error) {
+		validationResult.error.message = "Couldn't validate config.json";
+		return { "error": validationResult.error };
+	}
+	return { "value": validationResult.value };
+}
+
+/**
+ * Print helpful color-coded Joi validation errors to console
+ * @param {object} validationErrors Joi ValidationError
+ * @param {string} action What the proxy did because of the errors (e.g. "Stopped proxy")
+ */
+function printValidationErrors(validationErrors, action) {
+	if (validationErrors.details.length == 1) {
+		console.log("\x1b[36m", `${action}, encountered an error in config.json (you must fix it): \n`);
+	} else {
+		console.log("\x1b[36m", `${action}, encountered ${validationErrors.details.length} errors in config.json (you must fix them):\n`);
+	}
+	for (let i = 0; i < validationErrors.details.length; i++) { // Print helpful color-coded errors to console
+		const error = validationErrors.details[i];
+		console.log("\x1b[33m", `ERROR #${i}: ${error.message}`);
+		console.log("\x1b[32m", `- Invalid Value: ${error.context.value}`);
+		console.log("\x1b[32m", `- Should Be Type: ${error.type}`);
+		if (i !== validationErrors.details.length) {
+			console.log("\x1b[36m", "");
+		}
+	}
+}
+
+/**
+ * Watch config.json (and master-config.json, if coordination is active) and reload it when it changes
+ */
+function watchConfig() {
+	const paths = [configPath];
+	if (config.coordination.active) paths.push(config.coordination.path + "master-config.json");
+	let reloadTimer;
+	for (const path of paths) {
+		fs.watchFile(path, { "interval": 1000 }, (current, previous) => {
+			if (current.mtimeMs === previous.mtimeMs) return;
+			// Wait for the editor to finish writing the file
+			clearTimeout(reloadTimer);
+			reloadTimer = setTimeout(reloadConfig, 500);
+		});
+	}
+}
+
+/**
+ * Re-read config.json and apply the settings that are safe to change while running. Invalid edits are rejected and the running config is kept.
+ * @returns {object|undefined} Keys that were applied (applied) and keys that need a reconnect to take effect (needsReconnect), or undefined if the edit was rejected
+ */
+function reloadConfig() {
+	const { value, error } = readConfig();
+	if (error) {
+		if (error.details) {
+			printValidationErrors(error, "Kept the running config");
 		} else {
-			console.log("\x1b[36m", `Stopped proxy, encountered ${validationErrors.details.length} errors in config.json (you must fix them):\n`);
+			console.log("\x1b[36m", `Kept the running config: ${error.message}`);
 		}
-		for (let i = 0; i < validationErrors.details.length; i++) { // Print helpful color-coded errors to console
-			const error = validationErrors.details[i];
-			console.log("\x1b[33m", `ERROR #${i}: ${error.message}`);
-			console.log("\x1b[32m", `- Invalid Value: ${error.context.value}`);
-			console.log("\x1b[32m", `- Should Be Type: ${error.type}`);
-			if (i !== validationErrors.details.length) {
-				console.log("\x1b[36m", "");
-			}
+		reloadListeners.forEach(listener => listener({ error }));
+		return;
+	}
+	const changes = applyConfig(value);
+	if (changes.applied.length === 0 && changes.needsReconnect.length === 0) return changes;
+	reloadListeners.forEach(listener => listener(changes));
+	if (!config.noCliGui) updateGui();
+	return changes;
+}
+
+/**
+ * Apply the overrides of an account run by util/accounts.js to a config
+ * @param {object} config Config object
+ * @param {object} account Entry of config.accounts
+ * @returns {object} Config of the account
+ */
+function mergeAccount(config, account) {
+	return merge(config, account, {
+		"arrayMerge": (destination, source) => source // (e.g. an account's whitelist replaces the shared whitelist)
+	});
+}
+
+/**
+ * Get the config an account run by util/accounts.js runs with (e.g. so the notifier can deliver its notifications with the account's own webhooks)
+ * @param {number} index Index of the account in config.accounts (undefined for this proxy's own config)
+ * @returns {object} Validated config of the account (undefined if the account no longer exists)
+ */
+function getAccountConfig(index) {
+	if (typeof index === "undefined") return config;
+	if (typeof config.accounts[index] === "undefined") return undefined;
+	const { value, error } = configSchema.validate(mergeAccount(config, config.accounts[index]), { "allowUnknown": true });
+	return error ? undefined : value;
+}
+
+/**
+ * Apply the live-reloadable keys of a new config to the running config (in place, since other modules hold references to it). The rest of the new config is kept until the next reconnect (see applyPendingConfig)
+ * @param {object} newConfig Validated config object
+ * @returns {object} Keys that were applied (applied) and keys that need a reconnect to take effect (needsReconnect)
+ */
+function applyConfig(newConfig) {
+	const updated = flatten(newConfig);
+	const changes = {
+		"applied": [],
+		"needsReconnect": []
+	};
+	for (const key of getChangedKeys(updated)) {
+		if (liveKeys.some(liveKey => key === liveKey || key.startsWith(liveKey + "."))) {
+			setPath(config, key, updated[key]);
+			changes.applied.push(key);
+		} else {
+			changes.needsReconnect.push(key);
 		}
-		throw new Error("Couldn't validate config.json"); // Kill the process here
 	}
-	// ... If no errors were found, return the validated config
-	return validationResult.value;
+	pendingConfig = changes.needsReconnect.length > 0 ? newConfig : undefined;
+	return changes;
+}
+
+/**
+ * Apply the config.json changes that were waiting for a reconnect (called right before the proxy reconnects)
+ * @returns {Array} Keys that were applied
+ */
+function applyPendingConfig() {
+	if (typeof pendingConfig === "undefined") return [];
+	const updated = flatten(pendingConfig);
+	pendingConfig = undefined;
+	const applied = getChangedKeys(updated);
+	applied.forEach(key => setPath(config, key, updated[key]));
+	return applied;
+}
+
+/**
+ * Get the keys of the running config that differ from a new config
+ * @param {object} updated Flattened new config
+ * @returns {Array} Dot-separated paths of the keys that changed
+ */
+function getChangedKeys(updated) {
+	const current = flatten(config);
+	return [...new Set(Object.keys(current).concat(Object.keys(updated)))].filter(key => JSON.stringify(current[key]) !== JSON.stringify(updated[key]));
+}
+
+/**
+ * Flatten an object into dot-separated paths (arrays are kept as values)
+ * @param {object} o Object to flatten
+ * @param {string} prefix Path to the object
+ * @param {object} output Flattened object
+ * @returns {object} Flattened object
+ */
+function flatten(o, prefix = "", output = {}) {
+	for (const key in o) {
+		if (o[key] !== null && typeof o[key] === "object" && !Array.isArray(o[key])) {
+			flatten(o[key], prefix + key + ".", output);
+		} else {
+			output[prefix + key] = o[key];
+		}
+	}
+	return output;
+}
+
+/**
+ * Set a value by its dot-separated path, replacing the contents of arrays in place
+ * @param {object} o Object to set the value in
+ * @param {string} path Dot-separated path
+ * @param {*} value New value
+ */
+function setPath(o, path, value) {
+	const keys = path.split(".");
+	const last = keys.pop();
+	for (const key of keys) {
+		if (typeof o[key] !== "object" || o[key] === null) o[key] = {};
+		o = o[key];
+	}
+	if (typeof value === "undefined") {
+		delete o[last];
+	} else if (Array.isArray(o[last]) && Array.isArray(value)) {
+		o[last].splice(0, o[last].length, ...value); // (e.g. the web interface keeps a reference to the whitelist)
+	} else {
+		o[last] = value;
+	}
+}
+
+/**
+ * Register a function that's called after config.json is reloaded
+ * @param {Function} listener Function that's called with the keys that were applied and the keys that need a reconnect (or the error if the edit was rejected)
+ */
+function onConfigReload(listener) {
+	reloadListeners.push(listener);
 }
 
 /**
@@ -113,19 +323,38 @@ function processConfig() {
 function updateStatus(type, input) {
 	if (status[type] !== input.toString()) {
 		status[type] = input.toString();
-		if (config.coordination.active && type === "livechatRelay") { // Update coordinator status if livechatRelay changes
+		if ((config.coordination.active || accountWorker) && type === "livechatRelay") { // Update coordinator status if livechatRelay changes
 			updateCoordinatorStatus();
 		}
+		if (accountWorker) parentPort.postMessage({ "status": status }); // Send status to util/accounts.js
 		if (!config.noCliGui) updateGui();
 		return true;
 	}
 	return false;
 }
 
+/**
+ * Try to make this proxy the designated livechat relayer (only one proxy in the pool relays livechat)
+ * @returns {boolean} Whether no other proxy is the designated livechat relayer
+ */
+function claimLivechatRelay() {
+	if (accountWorker) { // Accounts run by util/accounts.js share the livechat relay lock in memory
+		const lock = workerData.livechatRelayLock;
+		const id = workerData.accountIndex + 1;
+		return Atomics.compareExchange(lock, 0, 0, id) === 0 || Atomics.load(lock, 0) === id;
+	}
+	return !fs.existsSync(config.coordination.path + "coordinator.flag");
+}
+
 /**
  * Update proxy coordinator status
  */
 function updateCoordinatorStatus() {
+	// Release the in-memory lock
+	if (accountWorker) {
+		if (status.livechatRelay !== "true") Atomics.compareExchange(workerData.livechatRelayLock, 0, workerData.accountIndex + 1, 0);
+		return;
+	}
 	// Add or remove the flag
 	const flagPath = config.coordination.path + "coordinator.flag";
 	if (status.livechatRelay === "true") {
@@ -160,8 +389,9 @@ function updateGui() {
 	console.log("\x1b[37m", `Last Update: [${getTimestamp()}]`);
 	console.log("\x1b[37m", `Account: ${config.account.username}`);
 	console.log("\x1b[37m", `Current Controller: ${status.controller}`);
+	if (config.proxy.spectator.active) console.log("\x1b[37m", `Spectators: ${status.spectators}`);
 	console.log("\x1b[33m", `Current Queue Position: ${status.position}`);
-	console.log("\x1b[33m", `ETA: ${status.eta}`);
+	console.log("\x1b[33m", `ETA: ${status.eta}${config.queueHistory.active ? ` (Predicted: ${status.predictedEta})` : ""}`);
 	console.log("\x1b[33m", `Restart: ${status.restart}`);
 	console.log("\x1b[33m", `In Queue Server: ${status.inQueue.toUpperCase()}`);
 	console.log(config.mineflayer.active ? `\x1b[35mMineflayer Running: ${status.mineflayer.toUpperCase()}` : "");
@@ -253,7 +483,15 @@ function joiToMarkdown(schema, includeAnchors) {
 module.exports = {
 	config,
 	status,
+	accountWorker,
 	updateStatus,
 	updateCoordinatorStatus,
+	claimLivechatRelay,
+	watchConfig,
+	reloadConfig,
+	applyConfig,
+	applyPendingConfig,
+	getAccountConfig,
+	onConfigReload,
 	configSchema
 };
\ No newline at end of file
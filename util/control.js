@@ -0,0 +1,58 @@
+// =======
+// Imports
+// =======
+
+const { config } = require("./config.js");
+
+// =========
+// Functions
+// =========
+
+/**
+ * Get the priority of a player from their position in the whitelist (lower is higher priority)
+ * @param {string} username Playername to look for
+ * @returns {number} Index of the player in the whitelist (-1 if they aren't whitelisted)
+ */
+function getPriority(username) {
+	return config.proxy.whitelist.findIndex(needle => username.toLowerCase() === needle.toLowerCase());
+}
+
+/**
+ * Check whether a player that connects to the proxy takes control from the current controller (config.proxy.takeover)
+ * @param {string} username Playername of the player connecting
+ * @param {string} controller Playername of the current controller
+ * @returns {boolean} Whether the player has a higher priority than the controller and takeover is active
+ */
+function canTakeOver(username, controller) {
+	const priority = getPriority(username);
+	return config.proxy.takeover.active && priority !== -1 && priority < getPriority(controller);
+}
+
+/**
+ * Check whether another player can spectate the proxy (config.proxy.spectator)
+ * @param {number} spectators Number of players already spectating
+ * @returns {boolean} Whether spectating is active and isn't full
+ */
+function canSpectate(spectators) {
+	return config.proxy.spectator.active && spectators < config.proxy.spectator.maxSpectators;
+}
+
+/**
+ * Check whether a controller that lost control in a takeover is moved to spectator instead of being disconnected (config.proxy.takeover.demoteTo)
+ * @param {number} spectators Number of players already spectating
+ * @returns {boolean} Whether the previous controller becomes a spectator
+ */
+function canDemoteToSpectator(spectators) {
+	return config.proxy.takeover.demoteTo === "spectator" && canSpectate(spectators);
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	getPriority,
+	canTakeOver,
+	canSpectate,
+	canDemoteToSpectator
+};
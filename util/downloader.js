@@ -8,6 +8,13 @@ const zlib = require("zlib");
 const { config } = require("./config.js");
 const logger = require("./logger.js");
 
+// ===========
+// Global Vars
+// ===========
+
+let openStreams = new Set(); // Chunk streams that haven't finished writing yet
+let currentFile; // Archive chunks are currently appended to
+
 // =========
 // Functions
 // =========
@@ -27,7 +34,10 @@ function mapChunkPacketHandler(packetData) {
 		packetData.blockEntities,
 	]);
 	const packetFile = createOutputDir("default") + logger.getTimestamp(true) + ".packets.gz"; // Save to log
+	currentFile = packetFile;
 	let stream = fs.createWriteStream(packetFile, { flags: "a" });
+	openStreams.add(stream);
+	stream.once("close", () => openStreams.delete(stream));
 	stream.write(zlib.gzipSync(serialized + "\u{0D9E}", { // Gzip
 		"level": config.experimental.worldDownloader.compression.level,
 		"memLevel": config.experimental.worldDownloader.compression.memLevel,
@@ -38,13 +48,37 @@ function mapChunkPacketHandler(packetData) {
 	stream.end();
 }
 
+/**
+ * Wait for every chunk that's being saved to finish writing (e.g. before shutting down)
+ * @returns {Promise} Resolves once every chunk has been written to disk
+ */
+function flush() {
+	return Promise.all([...openStreams].map(stream => new Promise(resolve => stream.once("close", resolve))));
+}
+
+/**
+ * Get the archives that are being written to (so they aren't deleted)
+ * @returns {Array} Paths to the archives
+ */
+function getOpenFiles() {
+	return [...new Set([...openStreams].map(stream => stream.path).concat(currentFile || []))];
+}
+
+/**
+ * Get the directory archives are saved in (next to this proxy's logs, so every account and mocha tests have their own)
+ * @returns {string} Path to the directory
+ */
+function getDirectory() {
+	return logger.getDirectory("worldDownloader");
+}
+
 /**
  * Create output folder if it doesn't exist
  * @param {string} worldName Name of the world, used for naming the directory
  * @returns {string} Path to the created folder
  */
 function createOutputDir(worldName) {
-	const outputDir = `./log/worldDownloader/${config.server.host}/${worldName.replace(/:/g, "_")}/`;
+	const outputDir = `${getDirectory()}${config.server.host}/${worldName.replace(/:/g, "_")}/`;
 	if (!fs.existsSync(outputDir)) {
 		fs.mkdirSync(outputDir, {
 			"recursive": true
@@ -59,5 +93,8 @@ function createOutputDir(worldName) {
 
 module.exports = {
 	mapChunkPacketHandler,
+	flush,
+	getOpenFiles,
+	getDirectory,
 	createOutputDir
 };
@@ -3,7 +3,9 @@
 // =======
 
 const fs = require("fs");
+const crypto = require("crypto");
 const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
 
 const { config } = require("./config.js");
 
@@ -11,25 +13,23 @@ const { config } = require("./config.js");
 // Global Vars
 // ===========
 
-let logFiles = {};
+const BUFFER_SIZE = 64 * 1024; // Buffered log data (in bytes) that gets written right away instead of waiting for config.log.flushInterval
+const ROTATE_CHECK_INTERVAL = 60 * 1000; // How often (in ms) logfiles are checked for being too old (so categories that aren't logged to are rotated too)
 
-// ===================
-// Initialize Logfiles
-// ===================
+const SESSION = crypto.randomBytes(4).toString("hex"); // Id of this session (to tell sessions apart in JSON Lines logs)
 
-// Create the directories and plan which logfiles to write to
-for (const category in config.log.active) {
-	if (!config.log.active[category]) return; // Don't proceed if logging category is disabled in config.json
-	const dir = createDirectory(category); // Create directory for category if it doesn't exist
-	const files = fs.readdirSync(dir, { // Get all files in the directory with the correct extension (either .log.gz or .log)
-		"withFileTypes": true
-	}).filter(f => {
-		return f.name.endsWith(`.log${config.log.compression.active ? ".gz" : ""}`);
-	});
-	let file = findExisting(dir, category, files); // Pick a filename (either a valid existing one or a new one)
-	if (!file || config.log.alwaysIncrement) file = createFilename(category, files.length + 1);
-	logFiles[category] = dir + file; // Push file path to logFiles
-}
+let writers = {}; // Log writer for every category that has been logged to ({ category, dir, index, file, handle, size, opened, buffer, bufferSize, timer, writing })
+let compressing = new Map(); // Log files that are being compressed (keyed by path)
+
+// ==============
+// Initialization
+// ==============
+
+// Write whatever is still buffered however the process exits (synchronously and without rotating, since neither can finish during exit)
+process.on("exit", () => Object.values(writers).forEach(writer => writeBufferSync(writer)));
+
+// Rotate logfiles once they're too old, even if nothing is logged to their category
+setInterval(() => Object.values(writers).filter(writer => writer.size > 0 && isDue(writer)).forEach(writer => flushWriter(writer)), ROTATE_CHECK_INTERVAL).unref();
 
 // =========
 // Functions
@@ -48,7 +48,7 @@ function packetHandler(packetData, packetMeta, category) {
 }
 
 /**
- * Write to a log file.
+ * Write to a log file (log entries are buffered and written every config.log.flushInterval milliseconds).
  * @param {string} name The name of the entry
  * @param {object} data The data to log
  * @param {string} category The category to log this under
@@ -56,36 +56,248 @@ function packetHandler(packetData, packetMeta, category) {
 function log(name, data, category) {
 	// Don't proceed if logging category is disabled in config.json
 	if (!config.log.active[category]) return;
-	// Create file name
-	createDirectory(category);
-	let logFile = logFiles[category];
-	// Create log message
-	const logMessage = `[${getTimestamp()}] [${name}] ${JSON.stringify(data)}\n`;
-	// Write to log (either gzipped or raw)
-	let stream = fs.createWriteStream(logFile, {
-		flags: "a"
-	});
+	// Pick the logfile the first time the category is logged to
+	if (!writers[category]) writers[category] = createWriter(category);
+	const writer = writers[category];
+	// Create log message (either JSON Lines or text)
+	let logMessage = `[${new Date().toISOString()}] [${name}] ${JSON.stringify(data)}\n`; // (ISO timestamps, so they can be read back whatever the locale is)
+	if (config.log.format === "jsonl") {
+		logMessage = JSON.stringify({
+			"time": new Date().toISOString(),
+			category,
+			name,
+			"session": SESSION,
+			"account": config.account.username,
+			data
+		}) + "\n";
+	}
+	// Buffer it
+	writer.buffer.push(logMessage);
+	writer.bufferSize += Buffer.byteLength(logMessage);
+	if (writer.bufferSize >= BUFFER_SIZE) {
+		flushWriter(writer);
+	} else if (typeof writer.timer === "undefined") {
+		writer.timer = setTimeout(() => flushWriter(writer), config.log.flushInterval);
+		writer.timer.unref();
+	}
+}
+
+/**
+ * Pick the logfile a category continues writing to (the most recent one if it's not full or too old, a new one otherwise). Logfiles left over from earlier sessions are compressed
+ * @param {string} category Log category
+ * @returns {object} Log writer
+ */
+function createWriter(category) {
+	const dir = createDirectory(category); // Create directory for category if it doesn't exist
+	const files = fs.readdirSync(dir).filter(file => new RegExp(`^${category}_\\d+\\.log(\\.gz)?$`).test(file)); // Get all logfiles in the directory (.log or .log.gz)
+	const index = files.reduce((highest, file) => Math.max(highest, parseInt(file.slice(category.length + 1))), 0);
+	const writer = {
+		category,
+		dir,
+		index,
+		"file": createFilename(category, index),
+		"handle": undefined,
+		"size": 0,
+		"opened": Date.now(),
+		"buffer": [],
+		"bufferSize": 0,
+		"timer": undefined,
+		"writing": undefined
+	};
+	// Continue writing to the most recent logfile if it hasn't been rotated yet
+	const latest = dir + writer.file;
+	if (index > 0 && !config.log.alwaysIncrement && fs.existsSync(latest)) {
+		const stats = fs.statSync(latest);
+		writer.size = stats.size;
+		writer.opened = stats.birthtimeMs || stats.ctimeMs;
+		if (!isDue(writer)) return writer;
+	}
+	// Otherwise start a new one
+	writer.index++;
+	writer.file = createFilename(category, writer.index);
+	writer.size = 0;
+	writer.opened = Date.now();
+	// Compress leftover logfiles
 	if (config.log.compression.active) {
-		stream.write(zlib.gzipSync(logMessage, { // Save Gzipped
-			"level": config.log.compression.level,
-			"memLevel": config.log.compression.memLevel,
-			"windowBits": config.log.compression.windowBits,
-			"strategy": 1,
-		}));
-	} else {
-		stream.write(logMessage); // Save raw
+		files.filter(file => file.endsWith(".log")).forEach(file => compressFile(dir + file));
 	}
-	stream.end();
+	return writer;
 }
 
 /**
- * Create a directory if it doesn't exist (in "./log/${category}/"). Also makes sure that logs from mocha tests don't contaminate normal logs.
+ * Write a log writer's buffer to its logfile (one write at a time per logfile)
+ * @param {object} writer Log writer
+ * @returns {Promise} Resolves once the buffer has been written
+ */
+function flushWriter(writer) {
+	clearTimeout(writer.timer);
+	writer.timer = undefined;
+	if (typeof writer.writing === "undefined") {
+		writer.writing = writeBuffer(writer).finally(() => writer.writing = undefined);
+	}
+	return writer.writing;
+}
+
+/**
+ * Write a log writer's buffer to its logfile, rotating the logfile whenever it's full or too old
+ * @param {object} writer Log writer
+ */
+async function writeBuffer(writer) {
+	try {
+		if (writer.size > 0 && isDue(writer)) await rotate(writer); // (so entries aren't added to a logfile that should have been rotated while its category was idle)
+		while (writer.buffer.length > 0) { // (entries logged while writing are written too)
+			const data = writer.buffer.join("");
+			writer.buffer = [];
+			writer.bufferSize = 0;
+			if (typeof writer.handle === "undefined") writer.handle = await fs.promises.open(writer.dir + writer.file, "a");
+			writer.size += (await writer.handle.write(data)).bytesWritten;
+			if (isDue(writer)) await rotate(writer);
+		}
+	} catch (error) {
+		console.error(`Couldn't write to ${writer.dir + writer.file}: ${error.message}`);
+	}
+}
+
+/**
+ * Write a log writer's buffer to its logfile synchronously (only while the process exits, since it blocks the event thread)
+ * @param {object} writer Log writer
+ */
+function writeBufferSync(writer) {
+	if (writer.buffer.length === 0) return;
+	const data = writer.buffer.join("");
+	writer.buffer = [];
+	writer.bufferSize = 0;
+	try {
+		fs.appendFileSync(writer.dir + writer.file, data);
+	} catch (error) {
+		console.error(`Couldn't write to ${writer.dir + writer.file}: ${error.message}`);
+	}
+}
+
+/**
+ * Check whether a logfile is full (config.log.cutoff) or too old (config.log.rotateInterval)
+ * @param {object} writer Log writer
+ * @returns {boolean} Whether the logfile should be rotated
+ */
+function isDue(writer) {
+	return writer.size >= config.log.cutoff * 1000 || (config.log.rotateInterval > 0 && Date.now() - writer.opened >= config.log.rotateInterval * 3600000);
+}
+
+/**
+ * Close a log writer's logfile (compressing it if log compression is active) and start a new one
+ * @param {object} writer Log writer
+ */
+async function rotate(writer) {
+	const handle = writer.handle;
+	const file = writer.dir + writer.file;
+	writer.handle = undefined;
+	writer.index++;
+	writer.file = createFilename(writer.category, writer.index);
+	writer.size = 0;
+	writer.opened = Date.now();
+	if (typeof handle !== "undefined") await handle.close();
+	if (config.log.compression.active) compressFile(file);
+}
+
+/**
+ * Compress a finished logfile with Gzip (streamed, so the event thread isn't blocked) and delete the uncompressed logfile.
+ * The archive is written to a temporary file and renamed once it's complete, so an interrupted compression never leaves a broken archive behind
+ * @param {string} file Path to the logfile
+ * @returns {Promise} Resolves once the logfile has been compressed
+ */
+function compressFile(file) {
+	if (compressing.has(file)) return compressing.get(file);
+	const compression = config.log.compression;
+	const temp = file + ".gz.tmp";
+	const task = pipeline(
+		fs.createReadStream(file),
+		zlib.createGzip({
+			"level": compression.level,
+			"memLevel": compression.memLevel,
+			"windowBits": compression.windowBits
+		}),
+		fs.createWriteStream(temp)
+	).then(() => fs.promises.rename(temp, file + ".gz")).then(() => fs.promises.unlink(file)).catch(error => {
+		log("compressFile", `Couldn't compress ${file}: ${error.message}`, "error");
+		return fs.promises.rm(temp, { "force": true }).catch(() => {});
+	}).finally(() => compressing.delete(file));
+	compressing.set(file, task);
+	return task;
+}
+
+/**
+ * Write every buffered log entry and wait for rotated logfiles to finish compressing (e.g. before shutting down)
+ * @returns {Promise} Resolves once every log entry has been written to disk
+ */
+function flush() {
+	return Promise.all(Object.values(writers).map(writer => flushWriter(writer))).then(() => Promise.all([...compressing.values()]));
+}
+
+/**
+ * Get the logfiles that are being written to or compressed (so they aren't deleted or compressed again)
+ * @returns {Array} Paths to the logfiles
+ */
+function getOpenFiles() {
+	return Object.values(writers).map(writer => writer.dir + writer.file).concat(...[...compressing.keys()].map(file => [file, file + ".gz.tmp"]));
+}
+
+/**
+ * Read a log entry written in either log format
+ * @param {string} line Line of a logfile
+ * @param {string} category Category of the logfile (text entries don't include it)
+ * @returns {object} Log entry ({ time, category, name, session, account, data }), or undefined if the line isn't a log entry
+ */
+function parseEntry(line, category) {
+	if (line.startsWith("{")) {
+		try {
+			const entry = JSON.parse(line);
+			entry.time = Date.parse(entry.time);
+			return entry;
+		} catch (error) { // (e.g. the proxy was stopped halfway through writing a line)
+			return;
+		}
+	}
+	const match = /^\[(.+?)\] \[(.+?)\] (.*)$/.exec(line);
+	if (!match) return;
+	let data;
+	try {
+		data = JSON.parse(match[3]);
+	} catch (error) {
+		data = match[3];
+	}
+	return {
+		"time": Date.parse(match[1].includes("T") ? match[1] : match[1].replace(/-/g, "/")), // (older logs have locale-dependent timestamps, which can't always be read)
+		category,
+		"name": match[2],
+		data
+	};
+}
+
+/**
+ * Get the directory every log category of this proxy is saved in
+ * @returns {string} Path to the directory
+ */
+function getRootDirectory() {
+	return `./log/${process.env.CI ? "test/" : ""}${config.accounts.length > 0 ? config.account.username + "/" : ""}`;
+}
+
+/**
+ * Get the directory a log category is saved to
+ * @param {string} category Log category
+ * @returns {string} Path to the directory
+ */
+function getDirectory(category) {
+	return getRootDirectory() + category + "/";
+}
+
+/**
+ * Create a directory if it doesn't exist (in "./log/${category}/", or "./log/${username}/${category}/" when running multiple accounts). Also makes sure that logs from mocha tests don't contaminate normal logs.
  * @param {string} category The category to write logs to
  * @returns {string} Path to the created directory
  */
 function createDirectory(category) {
 	// Choose the directory
-	const dir = `./log/${process.env.CI ? "test/" : ""}${category}/`;
+	const dir = getDirectory(category);
 	// Create directory if it doesn't exist
 	if (!fs.existsSync(dir)) {
 		fs.mkdirSync(dir, {
@@ -99,30 +311,10 @@ function createDirectory(category) {
  * Return a filename for a log category.
  * @param {string} category The category of the log file
  * @param {number} index The index of the log file
- * @returns {string} The created filename
+ * @returns {string} The created filename (logfiles are compressed to "${filename}.gz" once they're rotated if log compression is active)
  */
 function createFilename(category, index) {
-	let filename = `${category}_${index}.log`;
-	if (config.log.compression.active) filename += ".gz";
-	return filename;
-}
-
-/**
- * Returns a filename of the most recent and valid log to continue using.
- * @param {string} dir Directory of log folder
- * @param {string} category Category of the log to look for
- * @param {Array} files All valid files in the directory
- * @returns {string} Filename of the most recent and valid log to continue writing to (returns false otherwise)
- */
-function findExisting(dir, category, files) {
-	for (let i = files.length - 1; i >= 0; i--) {
-		const file = files[i].name;
-		// Check if there's an existing log file to reuse and whether it has enough space to write to
-		if (file === createFilename(category, files.length) && fs.existsSync(dir) && fs.statSync(dir + file).size < config.log.cutoff * 1000) {
-			return file;
-		}
-	}
-	return false;
+	return `${category}_${index}.log`;
 }
 
 /**
@@ -148,5 +340,12 @@ function getTimestamp(includeTime) {
 module.exports = {
 	packetHandler,
 	log,
-	getTimestamp
+	flush,
+	compressFile,
+	getOpenFiles,
+	parseEntry,
+	getTimestamp,
+	getRootDirectory,
+	getDirectory,
+	createDirectory
 };
@@ -0,0 +1,181 @@
+// =======
+// Imports
+// =======
+
+const { config, status } = require("./config.js");
+const { route, playerInfo } = require("./webserver.js");
+
+// ===========
+// Global Vars
+// ===========
+
+const PREFIX = "twobased2wait_";
+const RATE_WINDOW = 10; // Time (in seconds) packets per second are averaged over
+
+let packets = { // Total packets by direction and name
+	"server": {},
+	"controller": {}
+};
+let packetWindow = { // Packets by direction and name in the current rate window
+	"server": {},
+	"controller": {}
+};
+let packetRates = { // Packets per second by direction and name over the last rate window
+	"server": {},
+	"controller": {}
+};
+let reconnects = 0; // Reconnection attempts since the proxy started
+let webhookFailures = 0; // Webhooks that couldn't be sent since the proxy started
+let filteredChat = {}; // Chat messages dropped by the chat filter by destination and reason
+
+// ==============
+// Initialization
+// ==============
+
+// Serve metrics on the web interface
+if (config.webinterface.metrics) {
+	route("/metrics", () => ({
+		"type": "text/plain; version=0.0.4",
+		"body": render()
+	}));
+}
+
+// Work out packets per second at the end of every rate window
+setInterval(() => {
+	for (const direction in packetWindow) {
+		packetRates[direction] = {};
+		for (const name in packetWindow[direction]) {
+			packetRates[direction][name] = packetWindow[direction][name] / RATE_WINDOW;
+		}
+		packetWindow[direction] = {};
+	}
+}, RATE_WINDOW * 1000).unref();
+
+// =========
+// Functions
+// =========
+
+/**
+ * Count a packet going through the proxy
+ * @param {string} direction Direction of the packet ("server" or "controller")
+ * @param {string} name Name of the packet
+ */
+function countPacket(direction, name) {
+	packets[direction][name] = (packets[direction][name] || 0) + 1;
+	packetWindow[direction][name] = (packetWindow[direction][name] || 0) + 1;
+}
+
+/** Count a reconnection attempt */
+function countReconnect() {
+	reconnects++;
+}
+
+/** Count a webhook that couldn't be sent */
+function countWebhookFailure() {
+	webhookFailures++;
+}
+
+/**
+ * Count a chat message dropped by the chat filter
+ * @param {string} destination Where the message was dropped from ("livechat", "webChat", or "chatLog")
+ * @param {string} reason Why the message was dropped ("ignored", "denied", or "duplicate")
+ */
+function countFilteredChat(destination, reason) {
+	const key = `${destination},${reason}`;
+	filteredChat[key] = (filteredChat[key] || 0) + 1;
+}
+
+/**
+ * Convert an ETA from the server (e.g. "1h 23m 45s" or "01:23:45") to seconds
+ * @param {string} eta ETA text
+ * @returns {number} ETA in seconds (NaN if the ETA couldn't be read)
+ */
+function parseEta(eta) {
+	if (/^\d+(:\d+)+$/.test(eta)) { // (hh:mm:ss)
+		return eta.split(":").reduce((seconds, part) => seconds * 60 + parseInt(part), 0);
+	}
+	const units = {
+		"d": 86400,
+		"h": 3600,
+		"m": 60,
+		"s": 1
+	};
+	const parts = eta.match(/\d+\s*[dhms]/g);
+	if (!parts) return NaN;
+	return parts.reduce((seconds, part) => seconds + parseInt(part) * units[part.slice(-1)], 0);
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {string} Metrics
+ */
+function render() {
+	let output = "";
+	const account = `account="${escapeLabel(config.account.username)}"`;
+	/**
+	 * Add a metric to the output
+	 * @param {string} name Name of the metric (without the prefix)
+	 * @param {string} type Type of the metric ("gauge" or "counter")
+	 * @param {string} help Description of the metric
+	 * @param {Array} samples Samples of the metric ([labels, value])
+	 */
+	const add = (name, type, help, samples) => {
+		output += `# HELP ${PREFIX}${name} ${help}\n# TYPE ${PREFIX}${name} ${type}\n`;
+		for (const [labels, value] of samples) {
+			if (typeof value !== "number" || isNaN(value)) continue; // (e.g. the queue position before it's known)
+			output += `${PREFIX}${name}{${[account].concat(labels).join(",")}} ${value}\n`;
+		}
+	};
+	add("queue_position", "gauge", "Position in queue", [[[], parseInt(status.position)]]);
+	add("queue_eta_seconds", "gauge", "ETA provided by the server in seconds", [[[], parseEta(status.eta)]]);
+	add("in_queue", "gauge", "Whether the proxy is in the queue", [[[], status.inQueue === "true" ? 1 : 0]]);
+	add("controller_connected", "gauge", "Whether someone is controlling the proxy", [[[], status.controller !== "None" ? 1 : 0]]);
+	add("bot_health", "gauge", "Health of the bot", [[[], parseFloat(playerInfo.health)]]);
+	add("bot_food", "gauge", "Food level of the bot", [[[], parseFloat(playerInfo.hunger)]]);
+	add("packets_total", "counter", "Packets that went through the proxy by direction and name", packetSamples(packets));
+	add("packets_per_second", "gauge", `Packets per second by direction and name (averaged over ${RATE_WINDOW} seconds)`, packetSamples(packetRates));
+	add("reconnects_total", "counter", "Reconnection attempts since the proxy started", [[[], reconnects]]);
+	add("webhook_failures_total", "counter", "Discord webhooks that couldn't be sent since the proxy started", [[[], webhookFailures]]);
+	add("chat_filtered_total", "counter", "Chat messages dropped by the chat filter by destination and reason", Object.keys(filteredChat).map(key => {
+		const [destination, reason] = key.split(",");
+		return [[`destination="${destination}"`, `reason="${reason}"`], filteredChat[key]];
+	}));
+	add("uptime_seconds", "gauge", "Time since the proxy started in seconds", [[[], Math.floor(process.uptime())]]);
+	return output;
+	/**
+	 * Turn packet counts into samples
+	 * @param {object} counts Packet counts by direction and name
+	 * @returns {Array} Samples ([labels, value])
+	 */
+	function packetSamples(counts) {
+		let samples = [];
+		for (const direction in counts) {
+			for (const name in counts[direction]) {
+				samples.push([[`direction="${direction}"`, `name="${escapeLabel(name)}"`], counts[direction][name]]);
+			}
+		}
+		return samples;
+	}
+}
+
+/**
+ * Escape a label value
+ * @param {string} value Label value
+ * @returns {string} Escaped label value
+ */
+function escapeLabel(value) {
+	return value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	countPacket,
+	countReconnect,
+	countWebhookFailure,
+	countFilteredChat,
+	parseEta,
+	render
+};
@@ -5,9 +5,26 @@
 const autoeat = require("mineflayer-auto-eat").plugin;
 const antiafk = require("mineflayer-antiafk");
 
-const { config, status } = require("./config.js");
+const { config, status, onConfigReload } = require("./config.js");
 
 const { botWebInject } = require("./webserver.js");
+
+// ===========
+// Global Vars
+// ===========
+
+let mineflayerBot; // Most recently created bot
+
+// ==============
+// Initialization
+// ==============
+
+// Apply antiafk options that were changed in config.json to the current bot (autoeat and killaura options are read as they're used)
+onConfigReload((changes) => {
+	if (typeof mineflayerBot === "undefined" || !changes.applied || !changes.applied.some(key => key.startsWith("mineflayer.antiAfk."))) return;
+	mineflayerBot.afk.setOptions(config.mineflayer.antiAfk);
+});
+
 // ===
 // Bot
 // ===
@@ -21,6 +38,7 @@ function initialize(bot) {
 	botWebInject(bot);
 	// Don't proceed if Mineflayer isn't active
 	if (!config.mineflayer.active) return;
+	mineflayerBot = bot;
 	// Load plugins
 	bot.loadPlugin(autoeat);
 	bot.loadPlugin(antiafk);
@@ -39,6 +57,7 @@ function initialize(bot) {
 			const autoQueueMain = setInterval(function () {
 				status.inQueue ? bot.chat("/queue main") : clearInterval(autoQueueMain);
 			}, config.mineflayer.autoQueueMainInterval * 1000);
+			bot.once("end", () => clearInterval(autoQueueMain)); // (stop when the bot is torn down by a reconnect)
 		}
 	});
 	bot.once("spawn", () => {
@@ -49,7 +68,7 @@ function initialize(bot) {
 		// =========
 		// Kill Aura
 		// =========
-		setInterval(() => {
+		const attack = () => {
 			if (status.mineflayer === "true" && status.inQueue === "false") {
 				// Target hostile mobs within 3.5 blocks
 				const mobFilter = e => (e.kind === "Hostile mobs") && (e.position.distanceTo(bot.entity.position) < 3.5);
@@ -59,7 +78,10 @@ function initialize(bot) {
 					bot.attack(victim);
 				}
 			}
-		}, config.mineflayer.killAura.interval * 1000);
+			killAura = setTimeout(attack, config.mineflayer.killAura.interval * 1000); // (re-read every time in case config.json was reloaded)
+		};
+		let killAura = setTimeout(attack, config.mineflayer.killAura.interval * 1000);
+		bot.once("end", () => clearTimeout(killAura)); // (stop when the bot is torn down by a reconnect)
 		// =====
 		// Jesus
 		// =====
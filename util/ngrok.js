@@ -34,18 +34,9 @@ function createTunnel() {
 		}).then(url => {
 			url = url.split("tcp://")[1];
 			updateStatus("ngrokUrl", url); // Update cli gui and webhook
-			notifier.sendWebhook({
-				title: "New Tunnel:",
-				description: `Current IP: \`${url}\``,
-				category: "spam"
-			});
+			notifier.notify("tunnelCreated", { url });
 			if (config.waitForControllerBeforeConnect) { // Since the client isn't connected we'll need to send the tunnel IP to the status webhook (normally the tunnel IP would be sent to the status webhook after going under the queueThreshold and joining the server)
-				notifier.sendWebhook({
-					title: "Current Tunnel:",
-					description: `Current IP: \`${url}\``,
-					category: "status",
-					deleteOnRestart: true
-				});
+				notifier.notify("tunnelCurrent", { url });
 			}
 		}).catch(error => {
 			logger.log("createTunnel", error, "error");
@@ -53,10 +44,20 @@ function createTunnel() {
 	});
 }
 
+/**
+ * Close the ngrok tunnel (if there is one)
+ * @returns {Promise} Resolves once the ngrok process has stopped
+ */
+function closeTunnel() {
+	updateStatus("ngrokUrl", "None");
+	return ngrokWrapper.kill();
+}
+
 // =======
 // Exports
 // =======
 
 module.exports = {
-	createTunnel
+	createTunnel,
+	closeTunnel
 };
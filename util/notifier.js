@@ -2,16 +2,74 @@
 // Imports
 // =======
 
+const fs = require("fs");
+const { parentPort, workerData } = require("worker_threads");
 const toast = require("node-notifier");
-const fetch = require("node-fetch");
 
-const { config, status } = require("./config.js");
+const { config, status, accountWorker, getAccountConfig } = require("./config.js");
+const logger = require("./logger.js");
+const metrics = require("./metrics.js");
+const webhookQueue = require("./webhookQueue.js");
 
 // ===========
 // Global Vars
 // ===========
 
-let deleteOnRestart = []; // Urls of messages to be deleted when restarting the proxy
+let deleteOnRestart = []; // Messages to be deleted when restarting the proxy ({ transport, path, account })
+let deleting = []; // Messages that are being deleted ({ transport, path, account })
+let markedFile; // Path to the file messages to be deleted are saved to (so they're still deleted after a crash)
+let transports = { // Functions that send a notification for every type of transport in config.transports
+	"discord": sendDiscord,
+	"webhook": sendJson,
+	"ntfy": sendNtfy,
+	"gotify": sendGotify,
+	"telegram": sendTelegram,
+	"smtp": sendEmail
+};
+let requests = new Map(); // Requests sent to util/accounts.js that haven't been handled yet (keyed by id)
+let nextRequest = 0; // Id of the next request sent to util/accounts.js
+
+// ==============
+// Initialization
+// ==============
+
+// Look up where queued requests go in the live config when they're sent (and resend the ones left over from the last run)
+webhookQueue.setResolver(resolveTransport);
+
+// Mark messages for deletion once they've been delivered
+webhookQueue.onDelivered((request, json) => {
+	if (request.deleteOnRestart && json.id && typeof request.transport !== "undefined") {
+		deleteOnRestart.push({
+			"transport": request.transport,
+			"path": `/messages/${json.id}`, // (DELETE request to send when restarting the proxy)
+			"account": request.account
+		});
+		saveMarkedMessages();
+	}
+});
+
+// Delete messages that were left over from the last time the proxy ran (e.g. it crashed before cleaning up)
+if ((config.discord.active || config.accounts.length > 0) && !accountWorker) { // (accounts can have Discord webhooks of their own)
+	markedFile = logger.createDirectory("webhooks") + "deleteOnRestart.json";
+	if (fs.existsSync(markedFile)) {
+		try {
+			deleteOnRestart = JSON.parse(fs.readFileSync(markedFile));
+		} catch (error) {
+			logger.log("deleteOnRestart", error, "error");
+		}
+		if (deleteOnRestart.length > 0) logger.log("deleteOnRestart", `Deleting ${deleteOnRestart.length} webhook messages left over from the last run.`, "proxy");
+		deleteMarkedMessages();
+	}
+}
+
+// Accounts run by util/accounts.js queue their notifications in its webhook queue (a single queue delivers the notifications of every account, with each account's own transports)
+if (accountWorker) {
+	parentPort.on("message", (msg) => {
+		if (!msg.notifier || !requests.has(msg.notifier.id)) return;
+		requests.get(msg.notifier.id)(msg.notifier.result);
+		requests.delete(msg.notifier.id);
+	});
+}
 
 // =========
 // Functions
@@ -22,6 +80,10 @@ let deleteOnRestart = []; // Urls of messages to be deleted when restarting the
  * @param {string} titleText The title of the toast notification
  */
 function sendToast(titleText) {
+	if (accountWorker) {
+		sendToMain("sendToast", titleText);
+		return;
+	}
 	toast.notify({
 		"title": titleText,
 		"message": " ",
@@ -34,24 +96,133 @@ function sendToast(titleText) {
 }
 
 /**
- * Send Discord webhook
+ * Send a notification from the event catalogue (config.notifications) with its template and routing rules
+ * @param {string} event Name of the event (e.g. "queuePosition")
+ * @param {object} variables Values for the event's template variables (e.g. { "reason": "Server closed" })
+ * @param {object} options Extra options for sendWebhook (e.g. { "coalesce": true })
+ * @returns {Promise|undefined} Resolves once the notification has been delivered or given up on (undefined if it wasn't sent)
+ */
+function notify(event, variables = {}, options = {}) {
+	const settings = config.notifications[event];
+	if (typeof settings === "undefined" || !settings.active) return;
+	const values = Object.assign({
+		"account": config.account.username,
+		"controller": status.controller,
+		"position": status.position,
+		"eta": status.eta,
+		"predictedEta": status.predictedEta,
+		"ngrokUrl": status.ngrokUrl
+	}, variables);
+	// Only send while the position in queue is within range
+	const position = parseInt(values.position);
+	if (typeof settings.minPosition !== "undefined" && !(position >= settings.minPosition)) return;
+	if (typeof settings.maxPosition !== "undefined" && !(position <= settings.maxPosition)) return;
+	return sendWebhook(Object.assign({
+		"title": fillTemplate(settings.title, values) || undefined,
+		"description": fillTemplate(settings.description, values),
+		"category": settings.category,
+		"color": settings.color,
+		"ping": settings.ping,
+		"pingId": settings.pingId,
+		"transports": settings.transports,
+		"deleteOnRestart": settings.deleteOnRestart,
+		"disableAttribution": !settings.attribution
+	}, options));
+}
+
+/**
+ * Fill in the variables in a notification template
+ * @param {string} template Template (e.g. "Position {position} in queue")
+ * @param {object} values Values of the variables
+ * @returns {string} Filled-in template (unknown variables are left as they are)
+ */
+function fillTemplate(template, values) {
+	return template.replace(/\{(\w+)\}/g, (match, name) => typeof values[name] !== "undefined" ? String(values[name]) : match);
+}
+
+/**
+ * Send a notification to the Discord webhook for its category and every other transport in config.transports that's configured for it
  * @param {object} options Options object
  * @param {string} options.title The title of the embed
  * @param {string} options.description The description of the embed
  * @param {boolean} options.disableAttribution Whether or not to include explicit attribution to the proxy that sent the message
  * @param {string} options.category The webhook category to send the embed to
  * @param {string} options.imageUrl The imageUrl of the embed
+ * @param {boolean} options.ping Whether to ping config.discord.id (or send the notification with high priority)
+ * @param {string} options.pingId ID of the Discord user or role to ping instead of config.discord.id
+ * @param {number} options.color Color of the embed (defaults to config.discord.color)
+ * @param {Array} options.transports Only send to these transports ("discord" or the name or type of a transport), whatever their categories are
  * @param {boolean} options.deleteOnRestart Whether to delete the message when restarting the proxy (technically only used on status webhook messages)
+ * @param {boolean} options.coalesce Whether the message can be merged with other queued messages that can be (e.g. livechat lines)
+ * @param {string} options.account Account the notification is attributed to (defaults to config.account.username)
+ * @param {string} options.controller Controller of the account (defaults to status.controller)
+ * @returns {Promise|undefined} Resolves once the notification has been delivered or given up on by every transport (undefined if there aren't any)
  */
 function sendWebhook(options) {
-	// Don't proceed if Discord webhooks are disabled in config.json
-	if (!config.discord.active) return;
+	options = Object.assign({
+		"account": config.account.username,
+		"controller": status.controller
+	}, options);
+	const category = options.category || "spam";
+	const routes = options.transports && options.transports.length > 0 ? options.transports : undefined;
+	let deliveries = [];
+	// Discord webhooks (if no destination is provided, defaults to config.discord.webhook.spam)
+	if (config.discord.active && (!routes || routes.indexOf("discord") !== -1)) {
+		deliveries.push(sendDiscord(options, {
+			"type": "discord",
+			"url": config.discord.webhook[category] || config.discord.webhook.spam,
+			"webhookCategory": category
+		}));
+	}
+	// Every other transport
+	for (const transport of config.transports) {
+		if (!transport.active) continue;
+		if (routes ? routes.indexOf(transport.name) === -1 && routes.indexOf(transport.type) === -1 : !sendsCategory(transport, category)) continue;
+		if (typeof transports[transport.type] === "undefined") {
+			logger.log("sendWebhook", `Unknown notification transport: ${transport.type}`, "error");
+			continue;
+		}
+		deliveries.push(Promise.resolve(transports[transport.type](options, transport)).catch(error => {
+			metrics.countWebhookFailure();
+			logger.log("sendWebhook", `Couldn't send notification with ${transport.type}: ${error.message}`, "error");
+		}));
+	}
+	if (deliveries.length === 0) return;
+	return Promise.all(deliveries);
+}
 
+/**
+ * Check whether a transport is configured for a notification category
+ * @param {object} transport Transport config ({ categories })
+ * @param {string} category Notification category
+ * @returns {boolean} Whether the transport gets the category (livechat only goes to transports that list it, since it's sent line by line)
+ */
+function sendsCategory(transport, category) {
+	if (transport.categories.length === 0) return category !== "livechat";
+	return transport.categories.indexOf(category) !== -1;
+}
+
+/**
+ * Add a type of notification transport (or replace a built-in one)
+ * @param {string} type Type used in config.transports
+ * @param {Function} send Called with the notification options and the transport's config whenever a notification is sent, can return a Promise
+ */
+function registerTransport(type, send) {
+	transports[type] = send;
+}
+
+/**
+ * Send a notification as a Discord embed
+ * @param {object} options Notification options (see sendWebhook)
+ * @param {object} transport Transport config ({ url })
+ * @returns {Promise} Resolves with the message once it's been delivered
+ */
+function sendDiscord(options, transport) {
 	// Create embed
 	let params = {
 		embeds: [
 			{
-				"color": config.discord.color,
+				"color": typeof options.color !== "undefined" ? options.color : config.discord.color,
 				"title": options.title,
 				"description": options.description || "",
 				"timestamp": new Date(),
@@ -62,21 +233,21 @@ function sendWebhook(options) {
 		]
 	};
 	// If someone is controlling the bot add that to the embed
-	if (status.controller !== "None") {
+	if (options.controller !== "None") {
 		params.embeds[0].footer = {
-			"text": `Controller: ${status.controller}`
+			"text": `Controller: ${options.controller}`
 		};
 	}
 	// Set author fields so that we know where each embed originated. If disabled, the only way to tell the source of a message (without checking logs) would be through embed color.
 	if (!options.disableAttribution) {
 		params.embeds[0].author = {
-			"name": `Account: ${config.account.username}`,
-			"icon_url": "https://minotar.net/helm/${config.account.username}/69.png" // nice - 2023-02-08 unclamped
+			"name": `Account: ${options.account}`,
+			"icon_url": "https://minotar.net/helm/${options.account}/69.png" // nice - 2023-02-08 unclamped
 		};
 	}
 
 	// Add Discord ping to message content
-	if (options.ping) params.content = `<@${config.discord.id}>`;
+	if (options.ping) params.content = `<@${options.pingId || config.discord.id}>`;
 
 	// Add image to embed
 	if (options.imageUrl) {
@@ -85,41 +256,272 @@ function sendWebhook(options) {
 		};
 	}
 
-	// Send embed (if no destination is provided, defaults to config.discord.webhook.spam)
-	const webhookUrl = (config.discord.webhook[options.category] || config.discord.webhook.spam);
-	fetch(webhookUrl + "?wait=true", {
-		method: "POST",
-		headers: {
-			"Content-type": "application/json"
-		},
-		body: JSON.stringify(params)
-	}).then(response => {
-		if (options.deleteOnRestart) {
-			response.text().then(json => {
-				deleteOnRestart.push(`${webhookUrl}/messages/${JSON.parse(json).id}`); // URL to send DELETE request to when restarting the proxy
-			});
+	// Queue embed
+	return enqueue({
+		"transport": getReference(transport),
+		"body": params,
+		"coalesce": options.coalesce,
+		"deleteOnRestart": options.deleteOnRestart,
+		"account": options.account
+	});
+}
+
+/**
+ * Send a notification as JSON to a generic webhook
+ * @param {object} options Notification options (see sendWebhook)
+ * @param {object} transport Transport config ({ url, headers })
+ * @returns {Promise} Resolves once the notification has been delivered
+ */
+function sendJson(options, transport) {
+	return enqueue({
+		"transport": getReference(transport),
+		"body": {
+			"account": options.account,
+			"category": options.category || "spam",
+			"title": options.title || "",
+			"description": options.description || "",
+			"ping": Boolean(options.ping),
+			"imageUrl": options.imageUrl,
+			"controller": options.controller,
+			"timestamp": new Date()
+		}
+	});
+}
+
+/**
+ * Send a notification to an ntfy topic
+ * @param {object} options Notification options (see sendWebhook)
+ * @param {object} transport Transport config ({ url, topic, token })
+ * @returns {Promise} Resolves once the notification has been delivered
+ */
+function sendNtfy(options, transport) {
+	return enqueue({
+		"transport": getReference(transport),
+		"body": {
+			"topic": transport.topic,
+			"title": options.title || options.category || "2Based2Wait",
+			"message": getText(options, false),
+			"priority": options.ping ? 5 : 3,
+			"attach": options.imageUrl
 		}
 	});
 }
 
-/** Delete webhook messages marked for deletion */
-function deleteMarkedMessages() {
-	deleteOnRestart.forEach(url => {
-		fetch(url, {
-			method: "DELETE",
-			headers: {
-				"Content-type": "application/json"
-			}
+/**
+ * Send a notification to a Gotify server
+ * @param {object} options Notification options (see sendWebhook)
+ * @param {object} transport Transport config ({ url, token })
+ * @returns {Promise} Resolves once the notification has been delivered
+ */
+function sendGotify(options, transport) {
+	return enqueue({
+		"transport": getReference(transport),
+		"body": {
+			"title": options.title || options.category || "2Based2Wait",
+			"message": getText(options, false),
+			"priority": options.ping ? 8 : 4
+		}
+	});
+}
+
+/**
+ * Send a notification to a Telegram chat with the Telegram Bot API
+ * @param {object} options Notification options (see sendWebhook)
+ * @param {object} transport Transport config ({ url, token, chatId })
+ * @returns {Promise} Resolves once the notification has been delivered
+ */
+function sendTelegram(options, transport) {
+	return enqueue({
+		"transport": getReference(transport),
+		"body": {
+			"chat_id": transport.chatId,
+			"text": getText(options, true),
+			"disable_notification": !options.ping
+		}
+	});
+}
+
+/**
+ * Send a notification as an email
+ * @param {object} options Notification options (see sendWebhook)
+ * @param {object} transport Transport config ({ smtp })
+ * @returns {Promise} Resolves once the SMTP server has accepted the email (retried by the webhook queue like other transports)
+ */
+function sendEmail(options, transport) {
+	return enqueue({
+		"transport": getReference(transport),
+		"body": {
+			"subject": `[2Based2Wait] ${options.title || options.category || "Notification"}`,
+			"text": getText(options, false),
+			"urgent": Boolean(options.ping)
+		}
+	});
+}
+
+/**
+ * Queue a request of a built-in transport (accounts run by util/accounts.js queue them in its webhook queue)
+ * @param {object} request Request (see webhookQueue.enqueue)
+ * @returns {Promise} Resolves with the response JSON once the request has been delivered (or undefined if it couldn't be)
+ */
+function enqueue(request) {
+	if (accountWorker) return sendToMain("enqueue", request);
+	return webhookQueue.enqueue(request);
+}
+
+/**
+ * Get a reference to a transport that can be saved with undelivered requests (instead of the transport's credentials)
+ * @param {object} transport Transport config (a transport in config.transports, or a Discord webhook from config.discord.webhook)
+ * @returns {object} Reference ({ type, transport } for config.transports, where transport is its name or index, or { type, category } for config.discord.webhook, and the index of the account for accounts run by util/accounts.js)
+ */
+function getReference(transport) {
+	let reference = { "type": transport.type };
+	if (typeof transport.webhookCategory !== "undefined") {
+		reference.category = transport.webhookCategory;
+	} else {
+		reference.transport = transport.name || config.transports.indexOf(transport);
+	}
+	if (accountWorker) reference.account = workerData.accountIndex; // (util/accounts.js looks the transport up in the config of the account)
+	return reference;
+}
+
+/**
+ * Look up where a request sent through a transport goes in the live config of its account (used by the webhook queue)
+ * @param {object} reference Reference to the transport (see getReference)
+ * @param {string} path Path appended to the url (e.g. "/messages/<id>" to delete a Discord message)
+ * @returns {object} Where to send the request ({ webhook, url, headers, smtp }), or undefined if the transport no longer exists
+ */
+function resolveTransport(reference, path) {
+	const accountConfig = getAccountConfig(reference.account);
+	if (typeof accountConfig === "undefined") return undefined;
+	let transport;
+	if (typeof reference.transport === "undefined") {
+		transport = { "type": "discord", "url": accountConfig.discord.webhook[reference.category] || accountConfig.discord.webhook.spam };
+	} else if (typeof reference.transport === "number") {
+		transport = accountConfig.transports[reference.transport];
+	} else {
+		transport = accountConfig.transports.find(transport => transport.name === reference.transport);
+	}
+	if (typeof transport === "undefined" || transport.type !== reference.type) return undefined;
+	if (!transport.url && ["discord", "webhook", "gotify"].indexOf(transport.type) !== -1) return undefined; // (e.g. a Discord webhook that was removed)
+	switch (transport.type) {
+		case "discord":
+			return { "webhook": transport.url, "url": transport.url + (path || "?wait=true") };
+		case "webhook":
+			return { "webhook": transport.url, "url": transport.url, "headers": transport.headers };
+		case "ntfy": {
+			const url = transport.url || "https://ntfy.sh";
+			return { "webhook": url, url, "headers": transport.token ? { "Authorization": `Bearer ${transport.token}` } : {} };
+		}
+		case "gotify":
+			return { "webhook": transport.url, "url": `${transport.url.replace(/\/$/, "")}/message`, "headers": { "X-Gotify-Key": transport.token } };
+		case "telegram": {
+			const url = `${(transport.url || "https://api.telegram.org").replace(/\/$/, "")}/bot${transport.token}/sendMessage`;
+			return { "webhook": url, url };
+		}
+		case "smtp":
+			return { "webhook": `smtp://${transport.smtp.host}:${transport.smtp.port}`, "smtp": transport.smtp };
+		default:
+			return undefined;
+	}
+}
+
+/**
+ * Turn a notification into plain text for transports that don't have embeds
+ * @param {object} options Notification options (see sendWebhook)
+ * @param {boolean} includeTitle Whether to start with the title
+ * @returns {string} Notification text
+ */
+function getText(options, includeTitle) {
+	let lines = [];
+	if (includeTitle && options.title) lines.push(options.title);
+	if (options.description) lines.push(options.description);
+	if (options.imageUrl) lines.push(options.imageUrl);
+	if (!options.disableAttribution) lines.push(`Account: ${options.account}`);
+	if (options.controller !== "None") lines.push(`Controller: ${options.controller}`);
+	return lines.join("\n");
+}
+
+/**
+ * Delete webhook messages marked for deletion (retried by the webhook queue, and saved to disk until they're gone)
+ * @param {string} account Only delete the messages of this account (defaults to every account)
+ * @returns {Promise} Resolves once every message has been deleted (or given up on)
+ */
+function deleteMarkedMessages(account) {
+	if (accountWorker) return sendToMain("deleteMarkedMessages", config.account.username);
+	const messages = deleteOnRestart.filter(message => typeof account === "undefined" || message.account === account);
+	deleteOnRestart = deleteOnRestart.filter(message => messages.indexOf(message) === -1); // (the proxy may reconnect in-process, so don't delete the same messages twice)
+	deleting = deleting.concat(messages);
+	return Promise.all(messages.map(message => {
+		return enqueue({
+			"transport": message.transport,
+			"path": message.path,
+			"method": "DELETE"
+		}).then(() => {
+			deleting.splice(deleting.indexOf(message), 1);
+			saveMarkedMessages();
 		});
+	}));
+}
+
+/**
+ * Save the messages that still have to be deleted
+ */
+function saveMarkedMessages() {
+	if (typeof markedFile === "undefined") return;
+	try {
+		fs.writeFileSync(markedFile, JSON.stringify(deleteOnRestart.concat(deleting)));
+	} catch (error) {
+		logger.log("saveMarkedMessages", error, "error");
+	}
+}
+
+/**
+ * Send a request to the notifier of util/accounts.js
+ * @param {string} type Function to call (sendToast, enqueue, or deleteMarkedMessages)
+ * @param {*} data Argument to call the function with
+ * @returns {Promise} Resolves with the result once util/accounts.js has handled the request
+ */
+function sendToMain(type, data) {
+	const id = nextRequest++;
+	return new Promise((resolve) => {
+		requests.set(id, resolve);
+		parentPort.postMessage({ "notifier": { id, type, data } });
 	});
 }
 
+/**
+ * Handle a request from an account run by util/accounts.js
+ * @param {object} request Request ({ type, data })
+ * @returns {Promise} Resolves with the result once the request has been handled
+ */
+function handleAccountRequest(request) {
+	const handlers = { sendToast, "enqueue": webhookQueue.enqueue, deleteMarkedMessages };
+	return Promise.resolve().then(() => handlers[request.type](request.data));
+}
+
+/**
+ * Escape Discord markdown (and emojis)
+ * @param {string} text Unescaped string
+ * @returns {string} Escaped string
+ * {@link https://stackoverflow.com/a/39543625}
+ */
+function escapeMarkdown(text) {
+	const unescaped = text.replace(/\\(\*|_|:|`|~|\\)/g, "$1"); // Unescape backslashed characters
+	const escaped = unescaped.replace(/(\*|_|:|`|~|\\)/g, "\\$1"); // Escape *, _, :, `, ~, \
+	return escaped;
+}
+
 // =======
 // Exports
 // =======
 
 module.exports = {
 	sendToast,
+	notify,
+	fillTemplate,
 	sendWebhook,
-	deleteMarkedMessages
+	registerTransport,
+	deleteMarkedMessages,
+	handleAccountRequest,
+	escapeMarkdown
 };
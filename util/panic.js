@@ -0,0 +1,95 @@
+// =======
+// Imports
+// =======
+
+const { config, status } = require("./config.js");
+const logger = require("./logger.js");
+const notifier = require("./notifier.js");
+
+// ===========
+// Global Vars
+// ===========
+
+const ATTACK_RANGE = 6; // Players closer than this (in blocks) when the bot gets hurt are assumed to have attacked it
+
+let proxy = {}; // Functions from proxy.js that panic disconnects need (reconnect)
+
+// =========
+// Functions
+// =========
+
+/**
+ * Give panic disconnects access to the proxy
+ * @param {object} proxyFunctions Functions from proxy.js
+ */
+function initialize(proxyFunctions) {
+	proxy = proxyFunctions;
+}
+
+/**
+ * Watch a Mineflayer bot for danger while nobody is controlling it, disconnecting (and reconnecting after a cooldown) if anything in config.panic is triggered
+ * @param {object} bot Mineflayer bot
+ */
+function watch(bot) {
+	if (!config.panic.active) return;
+	let triggered = false; // (only panic once per connection)
+	let hadTotems = false; // Whether the bot has had any totems since connecting
+	/**
+	 * Disconnect from the server and reconnect after the cooldown
+	 * @param {string} reason Why the bot panicked
+	 */
+	const panic = (reason) => {
+		if (triggered || !isUnattended()) return;
+		triggered = true;
+		logger.log("panic", `${reason}, disconnecting for ${config.panic.cooldown} seconds.`, "proxy");
+		notifier.sendToast(`Panic Disconnect: ${reason}`);
+		notifier.notify("panic", { reason, "cooldown": config.panic.cooldown });
+		proxy.reconnect(config.panic.cooldown);
+	};
+	// Low health
+	bot.on("health", () => {
+		if (config.panic.health > 0 && bot.health < config.panic.health) panic(`Health dropped to ${Math.round(bot.health)}`);
+	});
+	// Damage from a player
+	bot.on("entityHurt", (entity) => {
+		if (!config.panic.playerDamage || entity !== bot.entity) return;
+		const attacker = bot.nearestEntity(e => e.type === "player" && e !== bot.entity && e.position.distanceTo(bot.entity.position) < ATTACK_RANGE);
+		if (attacker) panic(`Hurt by ${attacker.username}`);
+	});
+	// Players that aren't whitelisted and running out of totems
+	const check = setInterval(() => {
+		if (typeof bot.entity === "undefined") return; // (not spawned yet)
+		if (config.panic.unknownPlayers) {
+			const trusted = config.proxy.whitelist.concat(config.panic.trustedPlayers).map(username => username.toLowerCase());
+			for (const entity of Object.values(bot.entities)) {
+				if (entity.type === "player" && entity !== bot.entity && trusted.indexOf((entity.username || "").toLowerCase()) === -1) {
+					panic(`${entity.username} is in render distance`);
+					break;
+				}
+			}
+		}
+		if (config.panic.outOfTotems) {
+			const count = bot.inventory.slots.filter(item => item && item.name === "totem_of_undying").reduce((total, item) => total + item.count, 0);
+			if (count > 0) hadTotems = true;
+			if (hadTotems && count === 0) panic("Out of totems");
+		}
+	}, 1000);
+	bot.once("end", () => clearInterval(check)); // (stop when the bot is torn down by a reconnect)
+}
+
+/**
+ * Check whether the proxy is on the server without anyone controlling it
+ * @returns {boolean} Whether the proxy is unattended
+ */
+function isUnattended() {
+	return status.controller === "None" && status.inQueue === "false";
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	initialize,
+	watch
+};
@@ -0,0 +1,111 @@
+// =======
+// Imports
+// =======
+
+const logger = require("./logger.js");
+
+// ===========
+// Global Vars
+// ===========
+
+// Registered packet handlers for each direction, sorted by priority
+//  - server: packets from the server to the proxy
+//  - controller: packets from the controller to the server
+let handlers = {
+	"server": [],
+	"controller": []
+};
+
+// =========
+// Functions
+// =========
+
+/**
+ * Register a packet handler.
+ * Handlers run in order of priority (lowest first, then in the order they were registered) and receive a packet object that they can inspect, modify, drop, or inject packets after.
+ * Server packets can only be inspected and have packets injected after them: mcproxy has already relayed them to the controller and spectators by the time they reach the pipeline, so drop() and modify() throw.
+ * Errors thrown by a handler are logged and don't stop the other handlers from running.
+ * @param {object} options Options object
+ * @param {string} options.name Name of the handler (used to remove it and when logging errors)
+ * @param {string} options.direction Which packets to handle ("server" for server→proxy, "controller" for controller→server)
+ * @param {Array|string} options.packets Names of the packets to handle ("*" for every packet)
+ * @param {number} options.priority Handlers with lower priorities run first (defaults to 0)
+ * @param {Function} options.handler Function that's called with the packet object
+ */
+function use(options) {
+	if (!handlers[options.direction]) throw new Error(`Unknown packet direction "${options.direction}"`);
+	handlers[options.direction].push({
+		"name": options.name,
+		"packets": options.packets === "*" ? "*" : [].concat(options.packets),
+		"priority": options.priority || 0,
+		"handler": options.handler
+	});
+	handlers[options.direction].sort((a, b) => a.priority - b.priority); // (Array.prototype.sort is stable, so registration order is kept for equal priorities)
+}
+
+/**
+ * Remove a packet handler
+ * @param {string} name Name of the handler to remove
+ */
+function remove(name) {
+	for (const direction in handlers) {
+		handlers[direction] = handlers[direction].filter(entry => entry.name !== name);
+	}
+}
+
+/**
+ * Run a packet through the handlers. Dropping a controller packet stops it from reaching later handlers and the server.
+ * Server packets can't be dropped or modified (see use). Modified controller packets are re-serialized before being sent to the server. Injected packets are written after the packet (to the server for controller packets, to the controller for server packets).
+ * @param {string} direction Direction of the packet ("server" or "controller")
+ * @param {object} packetData Packet object data
+ * @param {object} packetMeta Packet metadata
+ * @param {Buffer} rawData Raw packet data
+ * @returns {object} Packet object after going through the handlers
+ */
+function run(direction, packetData, packetMeta, rawData) {
+	const packet = {
+		"name": packetMeta.name,
+		"data": packetData,
+		"meta": packetMeta,
+		"raw": rawData,
+		"dropped": false,
+		"modified": false,
+		"injected": [],
+		drop() {
+			checkRelayed();
+			this.dropped = true;
+		},
+		modify(data) {
+			checkRelayed();
+			this.data = data;
+			this.modified = true;
+		},
+		inject(name, data) {
+			this.injected.push({ name, data });
+		}
+	};
+	for (const entry of handlers[direction]) {
+		if (packet.dropped) break;
+		if (entry.packets !== "*" && entry.packets.indexOf(packet.name) === -1) continue;
+		try {
+			entry.handler(packet);
+		} catch (error) {
+			logger.log(`${entry.name} (${direction}/${packet.name})`, error.stack || error.toString(), "error");
+		}
+	}
+	return packet;
+	/** Throw if the packet has already been relayed by mcproxy (every server packet) */
+	function checkRelayed() {
+		if (direction === "server") throw new Error("Server packets are relayed by mcproxy before they reach the pipeline, so they can't be dropped or modified (inject packets instead)");
+	}
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	use,
+	remove,
+	run
+};
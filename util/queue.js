@@ -4,101 +4,188 @@
 
 const { config, status, updateStatus } = require("./config.js");
 const notifier = require("./notifier.js");
+const queueHistory = require("./queueHistory.js");
 const { updateWebStatus, serverInfo } = require("./webserver.js");
+const ChatMessage = require("prismarine-chat")(config.server.version);
+
 // ===========
 // Global Vars
 // ===========
 
 let sentNotification = false;
+// Packets that can contain each source of queue information (see config.queueDetection)
+const sourcePackets = {
+	"header": ["playerlist_header"],
+	"footer": ["playerlist_header"],
+	"title": ["title", "set_title_text"],
+	"subtitle": ["title", "set_title_subtitle"],
+	"actionbar": ["title", "action_bar", "chat", "system_chat"],
+	"chat": ["chat", "system_chat"]
+};
 
 // =========
 // Functions
 // =========
 
 /**
- * Difficulty packet handler, checks whether or not we're in queue
+ * Difficulty packet handler, checks whether or not we're in queue using the brand, dimension, and difficulty in config.queueDetection
  * (explanation: when rerouted by Velocity, the difficulty packet is always sent *after* the MC|Brand packet.)
  * @param {object} packetData `difficulty` packet data object
  * @param {object} conn McProxy conn object
  */
 function difficultyPacketHandler(packetData, conn) {
-	const inQueue = (conn.bot.game.serverBrand === "2b2t (Velocity)") && (conn.bot.game.dimension === "minecraft:end") && (packetData.difficulty === 1);
+	const detection = config.queueDetection;
+	const inQueue = new RegExp(detection.brand).test(conn.bot.game.serverBrand || "") && new RegExp(detection.dimension).test(conn.bot.game.dimension || "") && (detection.difficulty === -1 || packetData.difficulty === detection.difficulty);
 	if (updateStatus("inQueue", inQueue) && inQueue === false && config.notify.whenJoining) { // Send notification when joining server
 		notifier.sendToast("In Server!");
-		notifier.sendWebhook({
-			title: "In Server!",
-			description: `Current IP: \`${status.ngrokUrl}\``,
-			ping: true,
-			category: "status",
-			deleteOnRestart: true
-		});
+		notifier.notify("joinedServer");
 	}
 }
 
 /**
- * Playerlist packet handler, checks position in queue
- * @param {object} packetData `playerlist_header` packet data object
+ * Queue packet handler, reads the position in queue and ETA (as described in config.queueDetection)
+ * @param {string} packetName Name of the packet (one of getQueuePackets())
+ * @param {object} packetData Packet data object
  * @param {object} server Mineflayer server object
  */
-function playerlistHeaderPacketHandler(packetData, server) {
+function queuePacketHandler(packetName, packetData, server) {
 	// If no longer in queue, stop here
 	if (status.inQueue === "false") {
 		updateStatus("position", "In Server!");
 		updateStatus("eta", "Now!");
+		updateStatus("predictedEta", "Now!");
 		//Updating webserver
 		updateWebStatus('updateQueuePosition', status.position);
+		updateWebStatus("updatePredictedETA", status.predictedEta);
 		if (!serverInfo.queueFinished) {
 			serverInfo.connectedAt = new Date().toLocaleTimeString().replace(/(.*)\D\d+/, '$1');
 			serverInfo.queueFinished = true;
 		}
 		return;
 	}
-	// Parse header packets
-	const header = JSON.parse(packetData.header).extra;
-	if (header && header.length === 6) {
-		const position = header[4].extra[0].text.replace(/\n/, "");
-		const eta = header[5].extra[0].text.replace(/\n/, "");
-		// Update position
-		if (updateStatus("position", position)) {
-			// Update local server motd
-			server.motd = `Position: ${status.position} - ETA: ${status.eta}`;
-			if (status.position <= config.queueThreshold) { // Position notifications on Discord (status webhook)
-				notifier.sendToast(`2B2T Queue Position: ${status.position}`);
-				notifier.sendWebhook({
-					title: `2B2T Queue Position: ${status.position}`,
-					description: `ETA: ${status.eta}`,
-					category: "spam"
-				});
-				if (!sentNotification && config.notify.whenBelowQueueThreshold) {
-					notifier.sendWebhook({
-						title: `Position ${status.position} in queue`,
-						description: `Current IP: \`${status.ngrokUrl}\``,
-						ping: true,
-						category: "status",
-						deleteOnRestart: true
-					});
-				}
-				sentNotification = true;
-			} else { // Position notifications on Discord (spam webhook)
-				notifier.sendWebhook({
-					title: `2B2T Queue Position: ${status.position}`,
-					description: `ETA: ${status.eta}`,
-					category: "spam"
-				});
-			}
+	// Read the position and ETA
+	const texts = getQueueTexts(packetName, packetData);
+	const position = readQueueText(config.queueDetection.position, texts);
+	const eta = readQueueText(config.queueDetection.eta, texts);
+	// Store the ETA first, so the motd and position notifications include the ETA from this packet
+	if (typeof eta !== "undefined") updateStatus("eta", eta);
+	// Update position
+	if (typeof position !== "undefined" && updateStatus("position", position)) {
+		// Save the position to the queue history and predict the ETA from it
+		if (config.queueHistory.active && !isNaN(parseInt(position))) {
+			updateWebStatus("updateQueueChart", queueHistory.recordPosition(parseInt(position)));
+			updateStatus("predictedEta", queueHistory.formatEta(queueHistory.predictEta(parseInt(position))));
+			updateWebStatus("updatePredictedETA", status.predictedEta);
 		}
-		// Update ETA
-		updateStatus("eta", eta);
-		updateWebStatus('updateQueuePosition', status.position);
-		if (!serverInfo.queueFinished) updateWebStatus('updateETA', status.eta);
+		// Update local server motd
+		server.motd = `Position: ${status.position} - ETA: ${status.eta}`;
+		notifier.notify("queuePosition", { "eta": status.eta }); // (the ETA from the server, templates add the prediction with {predictedEta})
+		if (status.position <= config.queueThreshold) { // Position notifications (toast and status webhook)
+			notifier.sendToast(`2B2T Queue Position: ${status.position}`);
+			if (!sentNotification && config.notify.whenBelowQueueThreshold) notifier.notify("queueThreshold");
+			sentNotification = true;
+		}
+	}
+	if (typeof position !== "undefined") updateWebStatus('updateQueuePosition', status.position);
+	// Update ETA
+	if (typeof eta !== "undefined" && !serverInfo.queueFinished) updateWebStatus('updateETA', status.eta);
+}
+
+/**
+ * Get the names of the packets that can contain the position in queue or ETA
+ * @returns {Array} Packet names
+ */
+function getQueuePackets() {
+	return [...new Set(sourcePackets[config.queueDetection.position.source].concat(sourcePackets[config.queueDetection.eta.source]))];
+}
+
+/**
+ * Get the plain text of every source of queue information in a packet
+ * @param {string} packetName Name of the packet
+ * @param {object} packetData Packet data object
+ * @returns {object} Plain text by source (e.g. { header, footer })
+ */
+function getQueueTexts(packetName, packetData) {
+	switch (packetName) {
+		case "playerlist_header":
+			return {
+				"header": toPlainText(packetData.header),
+				"footer": toPlainText(packetData.footer)
+			};
+		case "title": // (before 1.17: 0 is the title, 1 is the subtitle, and 2 is the actionbar)
+			return {
+				[["title", "subtitle", "actionbar"][packetData.action]]: toPlainText(packetData.text)
+			};
+		case "set_title_text":
+			return { "title": toPlainText(packetData.text) };
+		case "set_title_subtitle":
+			return { "subtitle": toPlainText(packetData.text) };
+		case "action_bar":
+			return { "actionbar": toPlainText(packetData.text) };
+		case "chat": // (position 2 is the actionbar)
+			return { [packetData.position === 2 ? "actionbar" : "chat"]: toPlainText(packetData.message) };
+		case "system_chat":
+			return { [packetData.isActionBar || packetData.overlay ? "actionbar" : "chat"]: toPlainText(packetData.content) };
+		default:
+			return {};
+	}
+}
+
+/**
+ * Read a piece of queue information from the plain text of a source
+ * @param {object} queueText Where and how to read the information (e.g. config.queueDetection.position)
+ * @param {object} texts Plain text by source
+ * @returns {string|undefined} The information (undefined if it couldn't be found)
+ */
+function readQueueText(queueText, texts) {
+	if (typeof texts[queueText.source] === "undefined") return;
+	const match = new RegExp(queueText.pattern, queueText.flags).exec(texts[queueText.source]);
+	if (!match) return;
+	return (typeof match[1] !== "undefined" ? match[1] : match[0]).trim();
+}
+
+/**
+ * Convert a chat component to plain text
+ * @param {string} json Chat component (JSON)
+ * @returns {string|undefined} Plain text
+ */
+function toPlainText(json) {
+	if (typeof json === "undefined") return;
+	try {
+		return ChatMessage.fromNotch(JSON.parse(json)).toString();
+	} catch (error) { // (not JSON)
+		return json.toString();
 	}
 }
 
+/**
+ * Get the ETA provided by the server, along with the predicted ETA (if the queue history is enabled)
+ * @returns {string} ETA text
+ */
+function getEtaText() {
+	return status.eta + (config.queueHistory.active ? ` (Predicted: ${status.predictedEta})` : "");
+}
+
+/**
+ * Reset queue tracking (called when the proxy reconnects in-process)
+ */
+function resetQueue() {
+	queueHistory.endSession();
+	sentNotification = false;
+	serverInfo.queueFinished = false;
+	serverInfo.connectionTime = 0;
+}
+
 // =======
 // Exports
 // =======
 
 module.exports = {
 	difficultyPacketHandler,
-	playerlistHeaderPacketHandler
+	queuePacketHandler,
+	getQueuePackets,
+	readQueueText,
+	getQueueTexts,
+	getEtaText,
+	resetQueue
 };
@@ -0,0 +1,265 @@
+// =======
+// Imports
+// =======
+
+const fs = require("fs");
+
+const { config } = require("./config.js");
+const logger = require("./logger.js");
+const { route, io } = require("./webserver.js");
+
+// ===========
+// Global Vars
+// ===========
+
+const MIN_BUCKET_TIME = 10 * 60 * 1000; // Time (in ms) the queue has to have been watched during an hour of the week before its own speed is used instead of the average speed
+const MAX_GAP = 10 * 60 * 1000; // Position changes further apart than this (in ms) aren't used to work out queue speed (e.g. the proxy was stuck)
+const PRUNE_INTERVAL = 60 * 60 * 1000; // Time (in ms) between dropping position changes older than config.queueHistory.maxAge while the proxy runs
+
+let historyFile; // Path to the history file
+let entries = []; // Every saved position change ({ session, time, position })
+let session; // Time the current queue session started
+let lastEntry; // Last position change in the current queue session ({ session, time, position })
+let lastPruned = 0; // Time old position changes were last dropped
+let writing = Promise.resolve(); // Pending writes to the history file (chained, so they happen in order)
+let speeds = []; // Positions moved and time spent (in ms) for every hour of the week (index: day * 24 + hour)
+let totalSpeed = { // Positions moved and time spent (in ms) overall
+	"positions": 0,
+	"time": 0
+};
+
+// ==============
+// Initialization
+// ==============
+
+if (config.queueHistory.active) {
+	loadHistory();
+	// Export the queue history as JSON or CSV (e.g. /queue-history?session=current&format=csv)
+	route("/queue-history", (query) => {
+		const selected = query.session === "current" ? session : parseInt(query.session);
+		const history = typeof query.session === "undefined" ? entries : getEntries(selected);
+		if (query.format === "csv") {
+			return {
+				"type": "text/csv",
+				"attachment": "queue-history.csv",
+				"body": "session,time,position\n" + history.map(entry => `${new Date(entry.session).toISOString()},${new Date(entry.time).toISOString()},${entry.position}\n`).join("")
+			};
+		}
+		return {
+			"type": "application/json",
+			"body": JSON.stringify(history)
+		};
+	});
+	// Send the current queue session and the past sessions to the web interface
+	io().on("connection", (client) => {
+		client.emit("updateQueueSessions", getSessions());
+		client.emit("updateQueueSession", getEntries(session));
+	});
+}
+
+// =========
+// Functions
+// =========
+
+/**
+ * Load the queue history (dropping entries older than config.queueHistory.maxAge days)
+ */
+function loadHistory() {
+	historyFile = logger.createDirectory("queueHistory") + "history.jsonl";
+	resetSpeeds();
+	if (!fs.existsSync(historyFile)) return;
+	let loaded = [];
+	for (const line of fs.readFileSync(historyFile).toString().split("\n")) {
+		if (!line) continue;
+		try {
+			loaded.push(JSON.parse(line));
+		} catch (error) { // (e.g. the proxy was stopped halfway through writing a line)
+			logger.log("loadHistory", `Skipped unreadable queue history entry: ${line}`, "error");
+		}
+	}
+	entries = loaded;
+	if (!prune()) addSpeeds();
+}
+
+/**
+ * Drop position changes older than config.queueHistory.maxAge days (from memory and the history file), so a long-running proxy doesn't keep every one of them
+ * @param {number} now Current time (defaults to now)
+ * @returns {boolean} Whether any position changes were dropped
+ */
+function prune(now = Date.now()) {
+	lastPruned = now;
+	const cutoff = now - config.queueHistory.maxAge * 86400000;
+	const kept = entries.filter(entry => entry.time >= cutoff);
+	if (kept.length === entries.length) return false;
+	entries = kept;
+	const data = entries.map(entry => JSON.stringify(entry) + "\n").join("");
+	writeHistory(() => fs.promises.writeFile(historyFile, data));
+	addSpeeds(); // (without the dropped position changes)
+	return true;
+}
+
+/**
+ * Work out the queue speeds from every saved position change
+ */
+function addSpeeds() {
+	resetSpeeds();
+	let previous;
+	for (const entry of entries) {
+		if (previous && previous.session === entry.session) addSpeed(previous, entry);
+		previous = entry;
+	}
+}
+
+/**
+ * Write to the history file after the writes before it
+ * @param {Function} write Called to write, returns a Promise
+ */
+function writeHistory(write) {
+	writing = writing.then(write).catch(error => logger.log("writeHistory", error, "error"));
+}
+
+/**
+ * Save a change in queue position
+ * @param {number} position New position in queue
+ * @param {number} time Time of the change (defaults to now)
+ * @returns {object|undefined} The saved position change ({ session, time, position }), or undefined if the queue history is disabled
+ */
+function recordPosition(position, time = Date.now()) {
+	if (!config.queueHistory.active) return;
+	if (time - lastPruned >= PRUNE_INTERVAL) prune(time);
+	if (typeof session === "undefined") session = time;
+	const entry = { session, time, position };
+	if (lastEntry && lastEntry.session === session) addSpeed(lastEntry, entry);
+	lastEntry = entry;
+	entries.push(entry);
+	writeHistory(() => fs.promises.appendFile(historyFile, JSON.stringify(entry) + "\n"));
+	return entry;
+}
+
+/**
+ * Start a new queue session (called when the proxy reconnects)
+ */
+function endSession() {
+	session = undefined;
+	lastEntry = undefined;
+	if (config.queueHistory.active) prune();
+}
+
+/**
+ * Get the position changes of a queue session
+ * @param {number} id When the session started
+ * @returns {Array} Position changes in the session ({ session, time, position })
+ */
+function getEntries(id) {
+	return entries.filter(entry => entry.session === id);
+}
+
+/**
+ * Get a summary of every queue session in the history
+ * @returns {Array} Queue sessions ({ session, start, end, startPosition, endPosition })
+ */
+function getSessions() {
+	let sessions = {};
+	for (const entry of entries) {
+		if (!sessions[entry.session]) {
+			sessions[entry.session] = {
+				"session": entry.session,
+				"start": entry.time,
+				"startPosition": entry.position
+			};
+		}
+		sessions[entry.session].end = entry.time;
+		sessions[entry.session].endPosition = entry.position;
+	}
+	return Object.values(sessions).sort((a, b) => a.session - b.session);
+}
+
+/**
+ * Add the queue speed between two position changes to the hour of the week it happened in
+ * @param {object} from Earlier position change
+ * @param {object} to Later position change
+ */
+function addSpeed(from, to) {
+	const time = to.time - from.time;
+	const positions = from.position - to.position;
+	if (time <= 0 || time > MAX_GAP || positions < 0) return; // (ignore gaps and the queue being shuffled)
+	const bucket = speeds[getBucket(from.time)];
+	bucket.positions += positions;
+	bucket.time += time;
+	totalSpeed.positions += positions;
+	totalSpeed.time += time;
+}
+
+/**
+ * Predict how long it'll take to get through the queue from past queue speed at the same time of day and day of the week
+ * @param {number} position Current position in queue
+ * @param {number} now Current time (defaults to now)
+ * @returns {number} Predicted time (in seconds) left in queue (NaN if there isn't enough history)
+ */
+function predictEta(position, now = Date.now()) {
+	if (totalSpeed.positions === 0) return NaN;
+	const averageSpeed = totalSpeed.positions / totalSpeed.time;
+	let remaining = position;
+	let time = now;
+	for (let i = 0; i < 168 * 4; i++) { // (give up after four weeks)
+		const bucket = speeds[getBucket(time)];
+		const speed = bucket.time >= MIN_BUCKET_TIME ? bucket.positions / bucket.time : averageSpeed; // Positions per ms
+		const hourEnd = new Date(time).setMinutes(60, 0, 0);
+		if (speed * (hourEnd - time) >= remaining) return Math.round((time + remaining / speed - now) / 1000);
+		remaining -= speed * (hourEnd - time);
+		time = hourEnd;
+	}
+	return NaN;
+}
+
+/**
+ * Format a predicted ETA
+ * @param {number} seconds Predicted time (in seconds) left in queue
+ * @returns {string} Human-readable ETA (e.g. "2h 5m")
+ */
+function formatEta(seconds) {
+	if (isNaN(seconds)) return "Unknown";
+	const hours = Math.floor(seconds / 3600);
+	const minutes = Math.floor((seconds % 3600) / 60);
+	return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Get the hour of the week a time is in
+ * @param {number} time Time
+ * @returns {number} Hour of the week (day * 24 + hour)
+ */
+function getBucket(time) {
+	const date = new Date(time);
+	return date.getDay() * 24 + date.getHours();
+}
+
+/**
+ * Forget all queue speeds
+ */
+function resetSpeeds() {
+	speeds = [];
+	for (let i = 0; i < 168; i++) {
+		speeds.push({
+			"positions": 0,
+			"time": 0
+		});
+	}
+	totalSpeed = {
+		"positions": 0,
+		"time": 0
+	};
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	recordPosition,
+	endSession,
+	getEntries,
+	getSessions,
+	predictEta,
+	formatEta
+};
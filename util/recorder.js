@@ -0,0 +1,160 @@
+// =======
+// Imports
+// =======
+
+const fs = require("fs");
+const zlib = require("zlib");
+
+const mcData = require("minecraft-data");
+
+const { config } = require("./config.js");
+const logger = require("./logger.js");
+
+// ===========
+// Global Vars
+// ===========
+
+// Recordings are gzipped and start with a header (magic, format version, protocol version, Minecraft version, start time), followed by one record per packet (time offset, length, raw packet)
+const MAGIC = Buffer.from("2B2WREC\0");
+const FORMAT_VERSION = 1;
+const EXTENSION = ".2b2wrec.gz";
+
+let recording; // Current recording ({ stream, file, startTime, path })
+
+// =========
+// Functions
+// =========
+
+/**
+ * Record a raw packet from the server (starts a new recording if there isn't one)
+ * @param {object} packetMeta Packet metadata
+ * @param {Buffer} rawData Raw packet data
+ */
+function recordPacket(packetMeta, rawData) {
+	// Don't proceed if the recorder isn't enabled in config.json, the packet isn't part of the play state, or the packet is ignored
+	if (!config.recorder.active || packetMeta.state !== "play" || config.recorder.ignore.indexOf(packetMeta.name) !== -1) return;
+	if (typeof recording === "undefined") startRecording();
+	const record = Buffer.alloc(8);
+	record.writeUInt32BE(Date.now() - recording.startTime, 0);
+	record.writeUInt32BE(rawData.length, 4);
+	recording.stream.write(Buffer.concat([record, rawData]));
+}
+
+/**
+ * Start a new recording
+ */
+function startRecording() {
+	const startTime = Date.now();
+	const path = logger.createDirectory("recordings") + new Date(startTime).toISOString().replace(/:/g, "-") + EXTENSION;
+	const gzip = zlib.createGzip({
+		"level": config.recorder.compression.level,
+		"memLevel": config.recorder.compression.memLevel,
+		"windowBits": config.recorder.compression.windowBits
+	});
+	const file = gzip.pipe(fs.createWriteStream(path));
+	// Write the header
+	const version = Buffer.from(config.server.version);
+	const header = Buffer.alloc(MAGIC.length + 1 + 4 + 1 + version.length + 8);
+	let offset = MAGIC.copy(header, 0);
+	offset = header.writeUInt8(FORMAT_VERSION, offset);
+	offset = header.writeInt32BE(mcData(config.server.version).version.version, offset);
+	offset = header.writeUInt8(version.length, offset);
+	offset += version.copy(header, offset);
+	header.writeDoubleBE(startTime, offset);
+	gzip.write(header);
+	recording = {
+		"stream": gzip,
+		file,
+		startTime,
+		path
+	};
+	logger.log("recorder", `Recording to ${path}`, "proxy");
+}
+
+/**
+ * Finish the current recording (e.g. when disconnecting from the server)
+ * @returns {Promise} Resolves once the recording has been written to disk
+ */
+function stopRecording() {
+	if (typeof recording === "undefined") return Promise.resolve();
+	const { stream, file, path } = recording;
+	recording = undefined;
+	logger.log("recorder", `Finished recording to ${path}`, "proxy");
+	return new Promise((resolve) => {
+		file.once("close", resolve);
+		stream.end();
+	});
+}
+
+/**
+ * Get the recording that's being written to (so it isn't deleted)
+ * @returns {Array} Path to the recording (empty if nothing is being recorded)
+ */
+function getOpenFiles() {
+	return typeof recording === "undefined" ? [] : [recording.path];
+}
+
+/**
+ * Read a recording
+ * @param {string} path Path to the recording
+ * @returns {Promise<object>} Header ({ protocolVersion, version, startTime }) and an async iterator of records ({ time, data })
+ */
+async function readRecording(path) {
+	const stream = fs.createReadStream(path).pipe(zlib.createGunzip());
+	const iterator = stream[Symbol.asyncIterator]();
+	let buffer = Buffer.alloc(0);
+	/**
+	 * Read until the buffer has enough bytes
+	 * @param {number} length Number of bytes needed
+	 * @returns {boolean} Whether there were enough bytes left in the file
+	 */
+	async function fill(length) {
+		while (buffer.length < length) {
+			const chunk = await iterator.next();
+			if (chunk.done) return false;
+			buffer = Buffer.concat([buffer, chunk.value]);
+		}
+		return true;
+	}
+	// Read the header
+	if (!await fill(MAGIC.length + 6) || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) throw new Error(`${path} isn't a recording.`);
+	let offset = MAGIC.length;
+	const formatVersion = buffer.readUInt8(offset++);
+	if (formatVersion !== FORMAT_VERSION) throw new Error(`${path} was recorded with an unsupported format version (${formatVersion}).`);
+	const protocolVersion = buffer.readInt32BE(offset);
+	const versionLength = buffer.readUInt8(offset + 4);
+	offset += 5;
+	await fill(offset + versionLength + 8);
+	const header = {
+		protocolVersion,
+		"version": buffer.toString("utf8", offset, offset + versionLength),
+		"startTime": buffer.readDoubleBE(offset + versionLength)
+	};
+	buffer = buffer.subarray(offset + versionLength + 8);
+	// Read the records
+	const records = (async function* () {
+		while (await fill(8)) {
+			const time = buffer.readUInt32BE(0);
+			const length = buffer.readUInt32BE(4);
+			if (!await fill(8 + length)) break; // (the recording was cut off)
+			yield {
+				time,
+				"data": buffer.subarray(8, 8 + length)
+			};
+			buffer = buffer.subarray(8 + length);
+		}
+	})();
+	return { header, records };
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	recordPacket,
+	stopRecording,
+	readRecording,
+	getOpenFiles,
+	EXTENSION
+};
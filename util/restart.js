@@ -0,0 +1,144 @@
+// =======
+// Imports
+// =======
+
+const { config, status, updateStatus } = require("./config.js");
+const logger = require("./logger.js");
+const notifier = require("./notifier.js");
+const chatty = require("./chatty.js");
+const { parseEta } = require("./metrics.js");
+const ChatMessage = require("prismarine-chat")(config.server.version);
+
+// ===========
+// Global Vars
+// ===========
+
+let proxy = {}; // Functions from proxy.js that restarts need (reconnect, getController)
+let restartTime; // When the server is going to restart
+let timers = []; // Warning and disconnect timers for the scheduled restart
+let countdown; // Interval that updates the restart countdown
+
+// =========
+// Functions
+// =========
+
+/**
+ * Give server restart handling access to the proxy
+ * @param {object} proxyFunctions Functions from proxy.js
+ */
+function initialize(proxyFunctions) {
+	proxy = proxyFunctions;
+}
+
+/**
+ * Handle incoming chat packets, scheduling a clean disconnect when the server announces a restart
+ * @param {object} packetData Packet data object
+ */
+function chatPacketHandler(packetData) {
+	if (!config.serverRestart.active) return;
+	const msg = ChatMessage.fromNotch(JSON.parse(packetData.message)).toString();
+	const seconds = parseRestartMessage(msg);
+	if (isNaN(seconds)) return;
+	scheduleRestart(Date.now() + seconds * 1000);
+}
+
+/**
+ * Read how long until the server restarts from a restart announcement
+ * @param {string} msg Chat message
+ * @returns {number} Time (in seconds) until the restart (NaN if the message isn't a restart announcement)
+ */
+function parseRestartMessage(msg) {
+	for (const pattern of config.serverRestart.patterns) {
+		const match = new RegExp(pattern, "i").exec(msg);
+		if (match) return parseEta(typeof match[1] !== "undefined" ? match[1] : match[0]);
+	}
+	return NaN;
+}
+
+/**
+ * Schedule a clean disconnect just before the server restarts, warning the controller along the way
+ * @param {number} time When the server is going to restart
+ */
+function scheduleRestart(time) {
+	if (typeof restartTime !== "undefined" && Math.abs(time - restartTime) < 5000) return; // (the same restart was announced again)
+	cancelRestart();
+	restartTime = time;
+	const left = formatTimeLeft();
+	logger.log("restart", `Server restarting in ${left}.`, "proxy");
+	notifier.sendToast(`Server Restart In: ${left}`);
+	notifier.notify("restartAnnounced", { "timeLeft": left });
+	// Show a countdown
+	updateStatus("restart", `In ${left}`);
+	countdown = setInterval(() => updateStatus("restart", `In ${formatTimeLeft()}`), 1000);
+	// Warn the controller in-game
+	for (const seconds of config.serverRestart.warnAt) {
+		const delay = restartTime - seconds * 1000 - Date.now();
+		if (delay < 0) continue;
+		timers.push(setTimeout(() => {
+			const controller = proxy.getController();
+			if (typeof controller !== "undefined") chatty.sendLocalChat(controller, `The server is restarting in ${formatTimeLeft()}.`);
+		}, delay));
+	}
+	// Disconnect cleanly just before the restart and reconnect once it's over
+	timers.push(setTimeout(() => {
+		const delay = config.serverRestart.disconnectBefore + config.serverRestart.reconnectDelay;
+		logger.log("restart", `Disconnecting for the server restart, reconnecting in ${delay} seconds.`, "proxy");
+		cancelRestart();
+		proxy.reconnect(delay);
+	}, Math.max(restartTime - config.serverRestart.disconnectBefore * 1000 - Date.now(), 0)));
+}
+
+/**
+ * Forget the scheduled restart (e.g. after disconnecting from the server)
+ */
+function cancelRestart() {
+	timers.forEach(timer => clearTimeout(timer));
+	timers = [];
+	clearInterval(countdown);
+	countdown = undefined;
+	if (typeof restartTime !== "undefined" && status.restart.startsWith("In ")) updateStatus("restart", "None");
+	restartTime = undefined;
+}
+
+/**
+ * Get how long until the scheduled restart
+ * @returns {string} Human-readable time left (e.g. "4m 20s")
+ */
+function formatTimeLeft() {
+	const seconds = Math.max(Math.round((restartTime - Date.now()) / 1000), 0);
+	const minutes = Math.floor(seconds / 60);
+	return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Get how long to wait before a reconnection attempt (exponential backoff with jitter)
+ * @param {number} attempts Failed reconnection attempts in a row (including this one)
+ * @returns {number} Time (in seconds) to wait
+ */
+function getReconnectDelay(attempts) {
+	const backoff = Math.min(config.reconnectInterval * Math.pow(config.reconnect.backoffMultiplier, attempts - 1), config.reconnect.maxInterval);
+	const jitter = backoff * config.reconnect.jitter * (Math.random() * 2 - 1);
+	return Math.round(Math.max(backoff + jitter, 1));
+}
+
+/**
+ * Check whether the proxy should give up on reconnecting (config.reconnect.maxAttempts)
+ * @param {number} attempts Failed reconnection attempts in a row (including this one)
+ * @returns {boolean} Whether there have been too many failed attempts
+ */
+function isOutOfAttempts(attempts) {
+	return config.reconnect.maxAttempts !== 0 && attempts > config.reconnect.maxAttempts;
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	initialize,
+	chatPacketHandler,
+	parseRestartMessage,
+	cancelRestart,
+	getReconnectDelay,
+	isOutOfAttempts
+};
@@ -0,0 +1,151 @@
+// =======
+// Imports
+// =======
+
+const fs = require("fs");
+
+const { config } = require("./config.js");
+const logger = require("./logger.js");
+const notifier = require("./notifier.js");
+const downloader = require("./downloader.js");
+const recorder = require("./recorder.js");
+const tracker = require("./tracker.js");
+
+// ===========
+// Global Vars
+// ===========
+
+const KEEP = ["webhooks", "whispers", "queueHistory"]; // Directories that are never cleaned up (undelivered webhooks, whisper inboxes, and queue history)
+
+let lowDiskSpace = false; // Whether the low disk space warning was sent (so it's only sent again once space has been freed)
+
+// =========
+// Functions
+// =========
+
+/**
+ * Enforce the retention rules now and every config.retention.interval minutes
+ */
+function start() {
+	enforce().finally(() => setTimeout(start, config.retention.interval * 60000).unref());
+}
+
+/**
+ * Delete (and compress) old logs by the retention rules and warn if the disk is running out of space
+ * @returns {Promise} Resolves once the rules have been enforced
+ */
+async function enforce() {
+	if (config.retention.active) {
+		for (const category of getCategories()) {
+			try {
+				await enforceCategory(category);
+			} catch (error) {
+				logger.log("retention", `Couldn't enforce the retention rules for ${category}: ${error.message}`, "error");
+			}
+		}
+	}
+	try {
+		await checkDiskSpace();
+	} catch (error) {
+		logger.log("checkDiskSpace", error.message, "error");
+	}
+}
+
+/**
+ * Get the categories the retention rules apply to (every directory logs are saved in, except the ones in KEEP, including the world downloader archives)
+ * @returns {Array} Categories
+ */
+function getCategories() {
+	const root = logger.getRootDirectory();
+	let categories = [];
+	if (fs.existsSync(root)) {
+		categories = fs.readdirSync(root, { "withFileTypes": true }).filter(entry => entry.isDirectory() && KEEP.indexOf(entry.name) === -1).map(entry => entry.name);
+	}
+	return categories;
+}
+
+/**
+ * Delete the oldest files of a category that break its retention rule, then compress uncompressed logs that are left (if config.retention.compress is enabled)
+ * @param {string} category Log category
+ */
+async function enforceCategory(category) {
+	const dir = category === "worldDownloader" ? downloader.getDirectory() : logger.getDirectory(category);
+	if (!fs.existsSync(dir)) return;
+	const rule = Object.assign({}, config.retention.default, config.retention.categories[category]);
+	const files = listFiles(dir);
+	let size = files.reduce((total, file) => total + file.size, 0);
+	let count = files.length;
+	// Files that are still being written to are kept
+	const open = logger.getOpenFiles().concat(downloader.getOpenFiles(), recorder.getOpenFiles(), tracker.getOpenFiles());
+	let closed = files.filter(file => open.indexOf(file.path) === -1).sort((a, b) => a.modified - b.modified);
+	// Delete the oldest files until the category follows the rule
+	let deleted = 0;
+	let freed = 0;
+	while (closed.length > 0) {
+		const file = closed[0];
+		const expired = rule.maxAge > 0 && Date.now() - file.modified > rule.maxAge * 86400000;
+		if (!expired && !(rule.maxSize > 0 && size > rule.maxSize * 1000000) && !(rule.maxFiles > 0 && count > rule.maxFiles)) break;
+		await fs.promises.unlink(file.path);
+		closed.shift();
+		size -= file.size;
+		count--;
+		deleted++;
+		freed += file.size;
+	}
+	if (deleted > 0) logger.log("retention", `Deleted ${deleted} old ${category} files (${(freed / 1000000).toFixed(1)} MB).`, "proxy");
+	// Compress the logfiles that are left (one at a time, so compressing a backlog doesn't hog the threadpool)
+	if (config.retention.compress && category in config.log.active) {
+		for (const file of closed.filter(file => file.name.endsWith(".log"))) {
+			await logger.compressFile(file.path);
+		}
+	}
+}
+
+/**
+ * List every file in a directory and its subdirectories (except directories in KEEP)
+ * @param {string} dir Path to the directory (ending with "/")
+ * @returns {Array} Files ({ path, name, size, modified })
+ */
+function listFiles(dir) {
+	let files = [];
+	for (const entry of fs.readdirSync(dir, { "withFileTypes": true })) {
+		if (entry.isDirectory() && KEEP.indexOf(entry.name) === -1) {
+			files = files.concat(listFiles(dir + entry.name + "/"));
+		} else if (entry.isFile()) {
+			const stats = fs.statSync(dir + entry.name);
+			files.push({
+				"path": dir + entry.name,
+				"name": entry.name,
+				"size": stats.size,
+				"modified": stats.mtimeMs
+			});
+		}
+	}
+	return files;
+}
+
+/**
+ * Send the lowDiskSpace notification if the disk logs are saved to has less free space than config.retention.diskSpace.warning
+ */
+async function checkDiskSpace() {
+	if (config.retention.diskSpace.warning === 0 || typeof fs.promises.statfs !== "function") return; // (statfs needs Node.js 18.15 or newer)
+	const stats = await fs.promises.statfs("."); // (logs are saved in ./log/)
+	const free = Math.round(stats.bavail * stats.bsize / 1000000);
+	if (free >= config.retention.diskSpace.warning) {
+		lowDiskSpace = false;
+		return;
+	}
+	if (lowDiskSpace) return;
+	lowDiskSpace = true;
+	logger.log("checkDiskSpace", `Low disk space: ${free} MB free.`, "error");
+	notifier.notify("lowDiskSpace", { free });
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	start,
+	enforce
+};
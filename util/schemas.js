@@ -18,6 +18,119 @@ const packetSchema = joi.string().pattern(/^[a-z_]*$/).lowercase();
 // Schema used to validate Discord webhooks (to-do: update this to only recognize webhooks)
 const webhookSchema = joi.string().empty("").default("");
 
+// Schema used to validate regular expressions (must compile)
+const regexSchema = joi.string().allow("").custom((value, helpers) => {
+	try {
+		new RegExp(value);
+	} catch (error) {
+		return helpers.error("any.invalid");
+	}
+	return value;
+});
+
+// Schema used to validate where and how to read a piece of queue information (e.g. position) from what the server sends
+const queueTextSchema = joi.object({
+	"source": joi.string().valid("header", "footer", "title", "subtitle", "actionbar", "chat").default("header")
+		.description("Where to read it from (options: 'header', 'footer' (tab list), 'title', 'subtitle', 'actionbar', or 'chat')"),
+	"pattern": regexSchema.invalid("").required()
+		.description("Regular expression that's matched against the plain text (formatting is removed with prismarine-chat). The first capture group (or the whole match if there isn't one) is used"),
+	"flags": joi.string().pattern(/^[imsu]*$/).default("i")
+		.description("Regular expression flags")
+});
+
+// Schema used to validate chat filter rules for one destination (on top of the shared chatFilter rules)
+const chatFilterRulesSchema = joi.object({
+	"active": joi.boolean().default(true)
+		.description("Whether to filter chat messages sent here"),
+	"ignorePlayers": joi.array().items(usernameSchema).default([])
+		.description("Extra players whose messages are dropped here"),
+	"deny": joi.array().items(regexSchema.invalid("")).default([])
+		.description("Extra regular expressions (case-insensitive) for messages that are dropped here"),
+	"allow": joi.array().items(regexSchema.invalid("")).default([])
+		.description("Extra regular expressions (case-insensitive) for messages that are kept here even if they match a deny pattern")
+});
+
+// Schema used to validate a notification transport (Discord, generic JSON webhook, ntfy, Gotify, SMTP, or Telegram)
+const transportSchema = joi.object({
+	"type": joi.string().token().required()
+		.description("Type of transport (built-in: 'discord', 'webhook' (generic JSON), 'ntfy', 'gotify', 'smtp', or 'telegram'). Extensions can add more with `notifier.registerTransport`"),
+	"active": joi.boolean().default(true)
+		.description("Whether to send notifications with this transport"),
+	"name": joi.string()
+		.description("Name to route notifications to this transport with (see `notifications.<event>.transports`)"),
+	"categories": joi.array().items(joi.string().token()).default([])
+		.description("Notification categories to send (e.g. 'spam', 'status', 'livechat', 'visualRange', 'whispers'). Leave empty to send every category except 'livechat' (sent line by line, so it has to be listed to be sent)"),
+	"url": joi.string().uri()
+		.description("Url to send notifications to. Required for 'discord', 'webhook', and 'gotify' (server url). Optional for 'ntfy' (server url, defaults to https://ntfy.sh) and 'telegram' (Bot API url, defaults to https://api.telegram.org)"),
+	"headers": joi.object().pattern(/.*/, joi.string()).default({})
+		.description("Extra HTTP headers to send ('webhook' only)"),
+	"topic": joi.string()
+		.description("Topic to publish to ('ntfy' only, required)"),
+	"token": joi.string()
+		.description("Access token ('ntfy', optional), app token ('gotify', required), or bot token ('telegram', required)"),
+	"chatId": joi.alternatives().try(joi.string(), joi.number())
+		.description("Chat to send messages to ('telegram' only, required)"),
+	"smtp": joi.object({
+		"host": joi.string().hostname().required()
+			.description("SMTP server"),
+		"port": joi.number().port().default(587)
+			.description("SMTP server port"),
+		"secure": joi.boolean().default(false)
+			.description("Whether to connect with TLS from the start (usually port 465). Otherwise the connection is upgraded with STARTTLS if the server supports it"),
+		"username": joi.string()
+			.description("Username to log in with (leave out to send without logging in)"),
+		"password": joi.string().allow("")
+			.description("Password to log in with"),
+		"allowInsecureAuth": joi.boolean().default(false)
+			.description("Whether to log in even if the connection isn't encrypted (servers that don't support TLS). Sends the password in plain text"),
+		"from": joi.string().email({ "tlds": { "allow": false }, "minDomainSegments": 1 }).required()
+			.description("Address to send emails from"),
+		"to": joi.array().items(joi.string().email({ "tlds": { "allow": false }, "minDomainSegments": 1 })).min(1).required()
+			.description("Addresses to send emails to")
+	})
+		.description("Email settings ('smtp' only, required)")
+}).custom((value, helpers) => {
+	const required = {
+		"discord": ["url"],
+		"webhook": ["url"],
+		"ntfy": ["topic"],
+		"gotify": ["url", "token"],
+		"smtp": ["smtp"],
+		"telegram": ["token", "chatId"]
+	}[value.type] || [];
+	const missing = required.find(key => typeof value[key] === "undefined");
+	if (missing) return helpers.message(`"${missing}" is required for ${value.type} transports`);
+	return value;
+});
+
+// Schema used to validate the template and routing of a notification event
+const eventSchema = (defaults, variables) => joi.object({
+	"active": joi.boolean().default(true)
+		.description("Whether to send this notification"),
+	"title": joi.string().allow("").default(defaults.title || "")
+		.description(`Title template. Variables: ${variables ? variables + ", " : ""}{account}, {controller}, {position}, {eta}, {predictedEta}, {ngrokUrl}`),
+	"description": joi.string().allow("").default(defaults.description || "")
+		.description("Description template (same variables as the title)"),
+	"color": joi.number().integer().min(0).max(16777215)
+		.description("Color of the Discord embed in **decimal value** (defaults to `discord.color`)"),
+	"category": joi.string().token().default(defaults.category)
+		.description("Notification category (picks the Discord webhook and the transports that get it)"),
+	"ping": joi.boolean().default(Boolean(defaults.ping))
+		.description("Whether to ping (Discord) or send with high priority (other transports)"),
+	"pingId": joi.string()
+		.description("ID of the Discord user (or role, prefixed with '&') to ping instead of `discord.id`"),
+	"transports": joi.array().items(joi.string()).default([])
+		.description("Only send to these transports ('discord' for the Discord webhooks, or the name or type of a transport in `transports`) whatever their categories are. Leave empty to send to everything configured for the category"),
+	"minPosition": joi.number().integer().min(0)
+		.description("Only send while the position in queue is at least this"),
+	"maxPosition": joi.number().integer().min(0)
+		.description("Only send while the position in queue is at most this"),
+	"deleteOnRestart": joi.boolean().default(Boolean(defaults.deleteOnRestart))
+		.description("Whether to delete the Discord message when the proxy reconnects"),
+	"attribution": joi.boolean().default(defaults.attribution !== false)
+		.description("Whether to say which account sent the notification")
+}).default();
+
 // Schema used to validate a handful of the most important Zlib options, based off of information available on https://zlib.net/manual.html
 const zlibOptionsSchema = joi.object({
 	"level": joi.number().integer().min(1).max(9).default(1)
@@ -28,6 +141,16 @@ const zlibOptionsSchema = joi.object({
 		.description("How much memory to allocate to the history buffer between 8 and 15. Higher values result in better compression ratio at the expense of memory usage"),
 }).default();
 
+// Schema used to validate a log retention rule
+const retentionRuleSchema = joi.object({
+	"maxAge": joi.number().min(0)
+		.description("Delete files older than this (in days, 0 to keep them forever)"),
+	"maxSize": joi.number().min(0)
+		.description("Delete the oldest files once the category takes up more than this (in megabytes, 0 for no limit)"),
+	"maxFiles": joi.number().integer().min(0)
+		.description("Delete the oldest files once the category has more files than this (0 for no limit)")
+});
+
 // =============
 // Config Schema
 // =============
@@ -51,17 +174,214 @@ const configSchema = joi.object({
 			"livechat": webhookSchema
 				.description("Url of webhook to relay livechat"),
 			"status": webhookSchema
-				.description("Url of webhook to relay pertinent info for connecting and nothing else (e.g. joining server, low queue position)")
+				.description("Url of webhook to relay pertinent info for connecting and nothing else (e.g. joining server, low queue position)"),
+			"visualRange": webhookSchema
+				.description("Url of webhook to relay players entering and leaving visual range (defaults to the spam webhook)"),
+			"whispers": webhookSchema
+				.description("Url of webhook to relay whispers sent to the account (defaults to the spam webhook)")
 		}).default(),
 		"color": joi.number().integer().min(0).max(16777215).default(2123412)
 			.description("Color of Discord embeds sent to the webhooks in **decimal value** (you can use convertingcolors.com to find the decimal value of a color you want)"),
-		"id": joi.string().default(0) // although this can be an number for users, it can be a string for roles!
-			.description("ID of the Discord user or role to ping when below the queueThreshold")
+		"id": joi.string().default("0") // although this can be an number for users, it can be a string for roles!
+			.description("ID of the Discord user or role to ping when below the queueThreshold"),
+		"delivery": joi.object({
+			"maxAttempts": joi.number().integer().min(1).default(5)
+				.description("Times to try sending a webhook message before giving up (being rate-limited doesn't count)"),
+			"retryInterval": joi.number().positive().default(2)
+				.description("Time (in seconds) before retrying a webhook message that couldn't be sent. Doubles after every attempt"),
+			"maxRetryInterval": joi.number().positive().default(300)
+				.description("Longest time (in seconds) between retries"),
+			"coalesceWindow": joi.number().min(0).default(2)
+				.description("Time (in seconds) to wait for more livechat lines before sending them as one message")
+		}).default()
+			.description("Settings for delivering webhook messages. Messages are queued per webhook, respect Discord's rate limits, and are saved to be sent after a restart if they couldn't be delivered")
 	}).default(),
+	"notifications": joi.object({
+		"queuePosition": eventSchema({ "title": "2B2T Queue Position: {position}", "description": "ETA: {eta} (Predicted: {predictedEta})", "category": "spam" })
+			.description("Sent when the position in queue changes"),
+		"queueThreshold": eventSchema({ "title": "Position {position} in queue", "description": "Current IP: `{ngrokUrl}`", "category": "status", "ping": true, "deleteOnRestart": true })
+			.description("Sent once when the proxy dips below position `queueThreshold` in queue (if `notify.whenBelowQueueThreshold`)"),
+		"joinedServer": eventSchema({ "title": "In Server!", "description": "Current IP: `{ngrokUrl}`", "category": "status", "ping": true, "deleteOnRestart": true })
+			.description("Sent when the proxy joins the server from queue (if `notify.whenJoining`)"),
+		"disconnected": eventSchema({ "title": "Disconnected from Server: {reason}", "category": "spam" }, "{reason}")
+			.description("Sent when the proxy is disconnected from the server"),
+		"alreadyConnected": eventSchema({ "title": "Someone is already connected to the server using this proxy's account.", "category": "spam" })
+			.description("Sent when the proxy can't log on because the account is already in use"),
+		"kicked": eventSchema({ "title": "Kicked from Server: {reason}", "category": "spam" }, "{reason}")
+			.description("Sent when the proxy is kicked from the server"),
+		"reconnecting": eventSchema({ "title": "Reconnecting...", "description": "{attempt} in {delay} seconds", "category": "spam" }, "{attempt}, {delay}")
+			.description("Sent when the proxy is going to reconnect"),
+		"reconnectFailed": eventSchema({ "title": "Giving up after {maxAttempts} failed reconnection attempts.", "category": "status", "ping": true }, "{maxAttempts}")
+			.description("Sent when the proxy gives up on reconnecting"),
+		"proxyStopped": eventSchema({ "title": "Proxy stopped.", "description": "Reason: {reason}", "category": "status" }, "{reason}")
+			.description("Sent when the proxy shuts down"),
+		"restartAnnounced": eventSchema({ "title": "Server Restart In: {timeLeft}", "category": "spam", "ping": true }, "{timeLeft}")
+			.description("Sent when the server announces a restart"),
+		"panic": eventSchema({ "title": "Panic Disconnect: {reason}", "description": "Reconnecting in {cooldown} seconds.", "category": "status", "ping": true }, "{reason}, {cooldown}")
+			.description("Sent when the proxy panic disconnects"),
+		"playerConnected": eventSchema({ "title": "{player} ({uuid}) has connected to the proxy.", "category": "spam" }, "{player}, {uuid}")
+			.description("Sent when a player connects to the proxy as the controller"),
+		"playerDisconnected": eventSchema({ "title": "{player} ({uuid}) has disconnected from the local server.", "category": "spam" }, "{player}, {uuid}")
+			.description("Sent when the controller disconnects from the proxy"),
+		"connectionDenied": eventSchema({ "title": "{player} ({uuid}) was denied connection to the proxy {reason}.", "category": "spam" }, "{player}, {uuid}, {reason}")
+			.description("Sent when a player isn't allowed to connect to the proxy"),
+		"spectating": eventSchema({ "title": "{player} ({uuid}) is spectating the proxy.", "category": "spam" }, "{player}, {uuid}")
+			.description("Sent when a player starts spectating the proxy"),
+		"handoff": eventSchema({ "title": "{player} has taken control of the proxy{from}.", "category": "spam" }, "{player}, {from} (' from <previous controller>' or nothing)")
+			.description("Sent when control of the proxy changes hands"),
+		"controllerConnected": eventSchema({ "title": "{player} is using the proxy.", "category": "status", "deleteOnRestart": true }, "{player}")
+			.description("Sent when a controller connects to the proxy (if `notify.whenControlling`)"),
+		"controllerDisconnected": eventSchema({ "title": "{player} is no longer using the proxy.", "category": "status", "deleteOnRestart": true }, "{player}")
+			.description("Sent when the controller disconnects from the proxy (if `notify.whenControlling`)"),
+		"controllerChanged": eventSchema({ "title": "{player} has taken control of the proxy{from}.", "category": "status", "deleteOnRestart": true }, "{player}, {from} (' from <previous controller>' or nothing)")
+			.description("Sent when control of the proxy changes hands (if `notify.whenControlling`)"),
+		"tunnelCreated": eventSchema({ "title": "New Tunnel:", "description": "Current IP: `{url}`", "category": "spam" }, "{url}")
+			.description("Sent when an ngrok tunnel is created"),
+		"tunnelCurrent": eventSchema({ "title": "Current Tunnel:", "description": "Current IP: `{url}`", "category": "status", "deleteOnRestart": true }, "{url}")
+			.description("Sent when an ngrok tunnel is created while waiting for a controller (if `waitForControllerBeforeConnect`)"),
+		"livechat": eventSchema({ "description": "{message}", "category": "livechat", "attribution": false }, "{message}")
+			.description("Sent for every livechat message"),
+		"whisper": eventSchema({ "title": "Whisper from {player}", "description": "{message}", "category": "whispers", "ping": true }, "{player}, {message}")
+			.description("Sent when someone whispers to the account"),
+		"playerEnteredRange": eventSchema({ "title": "{player} entered visual range", "description": "Coordinates: `{coordinates}` ({dimension})", "category": "visualRange" }, "{player}, {coordinates}, {dimension}")
+			.description("Sent when a player comes into visual range"),
+		"playerLeftRange": eventSchema({ "title": "{player} left visual range", "description": "Coordinates: `{coordinates}` ({dimension}), in range for {duration} seconds", "category": "visualRange" }, "{player}, {coordinates}, {dimension}, {duration}")
+			.description("Sent when a player leaves visual range"),
+		"configNeedsReconnect": eventSchema({ "title": "config.json changes need a reconnect to take effect.", "description": "{keys}", "category": "spam" }, "{keys}")
+			.description("Sent when config.json is edited and some of the changes need a reconnect"),
+		"lowDiskSpace": eventSchema({ "title": "Low disk space: {free} MB free", "description": "Old logs are deleted by the retention rules in config.json.", "category": "status", "ping": true }, "{free}")
+			.description("Sent when the disk logs are saved to is running out of space (see `retention.diskSpace`)")
+	}).default()
+		.description("Templates and routing for every notification the proxy sends"),
+	"transports": joi.array().items(transportSchema).default([])
+		.description("Extra places to send notifications to on top of the Discord webhooks (e.g. ntfy, Gotify, Telegram, email, or any HTTP endpoint that takes JSON), each for some or all notification categories"),
 	"queueThreshold": joi.number().integer().min(0).default(21)
 		.description("Minimum queue position before toast notifications & Discord pings start getting sent"),
+	"queueDetection": joi.object({
+		"brand": regexSchema.default("^2b2t \\(Velocity\\)$")
+			.description("Regular expression the server brand has to match while in queue (leave empty to ignore the brand)"),
+		"dimension": regexSchema.default("^minecraft:end$")
+			.description("Regular expression the dimension has to match while in queue (leave empty to ignore the dimension)"),
+		"difficulty": joi.number().integer().min(-1).max(3).default(1)
+			.description("Difficulty the server sends while in queue (-1 to ignore the difficulty)"),
+		"position": queueTextSchema.default({
+			"source": "header",
+			"pattern": "position in queue:\\s*(\\d+)",
+			"flags": "i"
+		})
+			.description("Where and how to read the position in queue"),
+		"eta": queueTextSchema.default({
+			"source": "header",
+			"pattern": "estimated time:\\s*([^\\n]+)",
+			"flags": "i"
+		})
+			.description("Where and how to read the ETA")
+	}).default()
+		.description("How to tell whether the proxy is in queue and read its position and ETA (defaults to 2b2t's queue, change these to use the proxy on other queue-based servers)"),
+	"queueHistory": joi.object({
+		"active": joi.boolean().default(true)
+			.description("Whether to save every change in queue position and predict the ETA from past queue speed at the same time of day and day of the week"),
+		"maxAge": joi.number().positive().default(28)
+			.description("Time (in days) to keep queue history for")
+	}).default()
+		.description("Settings for the queue history"),
 	"reconnectInterval": joi.number().positive().default(69)
-		.description("Time (in seconds) between each reconnection attempt (see: [How to Auto-Reconnect with Supervisor](https://github.com/Enchoseon/2based2wait/wiki/How-to-Auto-Reconnect-with-Supervisor))"),
+		.description("Time (in seconds) before the first reconnection attempt. Later attempts back off according to the reconnect settings"),
+	"reconnect": joi.object({
+		"exitProcess": joi.boolean().default(false)
+			.description("Whether to exit the process instead of reconnecting in-process, leaving it to an outside supervisor to restart the proxy (see: [How to Auto-Reconnect with Supervisor](https://github.com/Enchoseon/2based2wait/wiki/How-to-Auto-Reconnect-with-Supervisor))"),
+		"backoffMultiplier": joi.number().min(1).default(2)
+			.description("How much the time between reconnection attempts is multiplied by after every failed attempt"),
+		"maxInterval": joi.number().positive().default(900)
+			.description("Maximum time (in seconds) between reconnection attempts"),
+		"jitter": joi.number().min(0).max(1).default(0.2)
+			.description("Fraction of the time between reconnection attempts to randomly add or subtract, so that multiple proxies don't reconnect in lockstep"),
+		"maxAttempts": joi.number().integer().min(0).default(0)
+			.description("Maximum number of failed reconnection attempts in a row before the proxy gives up and exits (0 for unlimited)")
+	}).default()
+		.description("Settings for reconnecting to the server"),
+	"shutdown": joi.object({
+		"timeout": joi.number().positive().default(10)
+			.description("Maximum time (in seconds) to spend cleaning up (sending webhooks, flushing logs, etc.) when the proxy is stopped with SIGINT or SIGTERM before exiting anyway"),
+		"message": joi.string().default("The proxy is shutting down.")
+			.description("Message shown to the controller and spectators when they're disconnected because the proxy is shutting down")
+	}).default()
+		.description("Settings for stopping the proxy"),
+	"chatFilter": joi.object({
+		"active": joi.boolean().default(false)
+			.description("Whether to filter chat messages before they're relayed to the livechat webhook, the web chat, and the chat log"),
+		"ignorePlayers": joi.array().items(usernameSchema).default([])
+			.description("Players whose messages are dropped"),
+		"deny": joi.array().items(regexSchema.invalid("")).default([])
+			.description("Regular expressions (case-insensitive) matched against the plain text of chat messages. Matching messages are dropped"),
+		"allow": joi.array().items(regexSchema.invalid("")).default([])
+			.description("Regular expressions (case-insensitive) for messages that are kept even if they match a deny pattern"),
+		"duplicateWindow": joi.number().min(0).default(30)
+			.description("Time (in seconds) during which repeats of the same message are dropped (0 to keep repeats)"),
+		"destinations": joi.object({
+			"livechat": chatFilterRulesSchema.default()
+				.description("Rules for the livechat webhook"),
+			"webChat": chatFilterRulesSchema.default()
+				.description("Rules for the web interface's chat"),
+			"chatLog": chatFilterRulesSchema.keys({
+				"active": joi.boolean().default(false)
+					.description("Whether to filter chat messages sent here")
+			}).default()
+				.description("Rules for the chat log")
+		}).default()
+			.description("Where chat filtering is applied and extra rules for each destination")
+	}).default()
+		.description("Settings for filtering livechat, the web chat, and the chat log. Counts of filtered messages are exposed on the metrics endpoint"),
+	"whispers": joi.object({
+		"active": joi.boolean().default(true)
+			.description("Whether to save whispers to and from the account in an inbox, relay incoming whispers to the whispers webhook, and show conversations (with replies) on the web interface"),
+		"incoming": regexSchema.invalid("").default("^(\\w{1,16}) whispers: (.*)$")
+			.description("Regular expression for whispers sent to the account. The first capture group has to be the username and the second the message"),
+		"outgoing": regexSchema.invalid("").default("^to (\\w{1,16}): (.*)$")
+			.description("Regular expression for whispers sent by the account. The first capture group has to be the username and the second the message"),
+		"maxAge": joi.number().positive().default(30)
+			.description("Time (in days) to keep whispers in the inbox for")
+	}).default()
+		.description("Settings for the whisper inbox"),
+	"visualRange": joi.object({
+		"active": joi.boolean().default(true)
+			.description("Whether to track players coming into and leaving visual range (sightings are saved to a file for every day)"),
+		"alert": joi.boolean().default(true)
+			.description("Whether to send a webhook when a player comes into or leaves visual range"),
+		"ignore": joi.array().items(usernameSchema).default([])
+			.description("Players (besides the whitelist) that don't trigger visual range webhooks")
+	}).default()
+		.description("Settings for visual range tracking"),
+	"panic": joi.object({
+		"active": joi.boolean().default(false)
+			.description("Whether to disconnect when the proxy is in danger while nobody is controlling it"),
+		"health": joi.number().min(0).max(20).default(8)
+			.description("Disconnect when health drops below this (0 to disable)"),
+		"unknownPlayers": joi.boolean().default(true)
+			.description("Whether to disconnect when a player that isn't whitelisted or trusted comes into render distance"),
+		"trustedPlayers": joi.array().items(usernameSchema).default([])
+			.description("Players besides the whitelist that don't cause a disconnect when they come into render distance"),
+		"playerDamage": joi.boolean().default(true)
+			.description("Whether to disconnect when taking damage from a player"),
+		"outOfTotems": joi.boolean().default(true)
+			.description("Whether to disconnect when the last totem of undying is used up"),
+		"cooldown": joi.number().positive().default(600)
+			.description("Time (in seconds) to wait before reconnecting after a panic disconnect")
+	}).default()
+		.description("Settings for disconnecting when the proxy is in danger while nobody is controlling it (each disconnect sends a ping to the status webhook)"),
+	"serverRestart": joi.object({
+		"active": joi.boolean().default(true)
+			.description("Whether to disconnect cleanly just before a server restart that was announced in chat and reconnect after it's over"),
+		"patterns": joi.array().items(regexSchema.invalid("")).default(["^\\[SERVER\\] Server restarting in (.+?)(?: \\.\\.\\.)?$"])
+			.description("Regular expressions matched against chat messages to find restart announcements. The first capture group (or the whole match if there isn't one) has to contain the time until the restart (e.g. '15 minutes' or '5m 30s')"),
+		"warnAt": joi.array().items(joi.number().positive()).default([600, 300, 60, 30, 10])
+			.description("Times (in seconds) before the restart to warn the controller in-game"),
+		"disconnectBefore": joi.number().min(0).default(5)
+			.description("Time (in seconds) before the restart to disconnect"),
+		"reconnectDelay": joi.number().min(0).default(120)
+			.description("Time (in seconds) after the restart to reconnect")
+	}).default()
+		.description("Settings for server restarts"),
 	"uncleanDisconnectInterval": joi.number().positive().default(196)
 		.description("Time (in seconds) proxy will go without getting a single packet from 2B2T before assuming it was uncleanly disconnected and initiating a reconnect attempt"),
 	"log": joi.object({
@@ -79,7 +399,13 @@ const configSchema = joi.object({
 		}).default()
 			.description("Settings for which logging categories should be enabled"),
 		"cutoff": joi.number().integer().positive().default(69000) // Not setting a minimum for this seems dangerous...
-			.description("Maximum size a log file can be (in bytes) before it gets split up"),
+			.description("Maximum size a log file can be (in kilobytes) before it gets rotated"),
+		"format": joi.string().valid("text", "jsonl").default("text")
+			.description("Format to write log entries in (`text` for `[ISO timestamp] [name] data` lines, `jsonl` for JSON Lines with an ISO timestamp, category, name, session id, and account). Search either with `pnpm run logs`"),
+		"rotateInterval": joi.number().min(0).default(24)
+			.description("Maximum age a log file can be (in hours) before it gets rotated (0 to only rotate log files by size)"),
+		"flushInterval": joi.number().integer().min(0).default(1000)
+			.description("How often buffered log entries get written to disk (in milliseconds)"),
 		"packetFilters": joi.object({
 			"server": joi.array().items(packetSchema).default(["map", "map_chunk", "player_info", "entity_metadata", "entity_velocity", "entity_move_look", "entity_look", "update_time", "world_particles", "unload_chunk", "teams", "rel_entity_move", "entity_head_rotation", "entity_update_attributes", "block_change"])
 				.description("Packets being sent from 2b2t to not log"),
@@ -89,12 +415,39 @@ const configSchema = joi.object({
 			.description("Settings for which packets we shouldn't log"),
 		"compression": joi.object({
 			"active": joi.boolean().default(false)
-				.description("**\[Warning, Event Thread-Blocking!\]** Whether to compress log files with Gzip. Leave this off unless you have a really good reason to enable it"),
+				.description("Whether to compress log files with Gzip once they're rotated (compression is streamed in the background, so it doesn't block the proxy)"),
 		}).concat(zlibOptionsSchema).default()
 			.description("Settings for log compression. Tweak with caution. The default options maximize memory usage for the fastest speed"),
 		"alwaysIncrement": joi.boolean().default(false)
 			.description("Whether to increment the log file every session (can lead to thousands of 1kb log files in production, but is pretty useful when rapidly testing during development)"),
 	}).default(),
+	"retention": joi.object({
+		"active": joi.boolean().default(true)
+			.description("Whether to delete old logs, recordings, and world downloader archives by the rules below (at startup and every `retention.interval` minutes). Files that are still being written to are never deleted"),
+		"interval": joi.number().positive().default(60)
+			.description("How often to enforce the retention rules (in minutes)"),
+		"default": retentionRuleSchema.fork(["maxAge", "maxFiles"], schema => schema.default(0)).fork("maxSize", schema => schema.default(2048)).default()
+			.description("Rule for every category that doesn't have its own"),
+		"categories": joi.object().pattern(joi.string(), retentionRuleSchema).default({})
+			.description("Rules for specific categories (any directory in ./log/, e.g. error, proxy, chat, bridgeClientPackets, serverPackets, visualRange, recordings, or worldDownloader), e.g. `{ \"serverPackets\": { \"maxAge\": 7 } }`. Settings a rule leaves out come from `retention.default`"),
+		"compress": joi.boolean().default(false)
+			.description("Whether to compress closed logs that were left uncompressed (e.g. written before `log.compression` was turned on) with the settings in `log.compression`"),
+		"diskSpace": joi.object({
+			"warning": joi.number().min(0).default(1024)
+				.description("Send the lowDiskSpace notification once the disk logs are saved to has less free space than this (in megabytes, 0 to never warn)")
+		}).default()
+			.description("Settings for low disk space warnings")
+	}).default()
+		.description("Settings for deleting old logs so a long-running proxy doesn't fill the disk (whisper inboxes, queue history, and undelivered webhooks are kept)"),
+	"recorder": joi.object({
+		"active": joi.boolean().default(false)
+			.description("Whether to record the raw packet stream from the server (in ./log/recordings/) so that sessions can be played back later with `pnpm run replay <recording> [speed] [port]`"),
+		"ignore": joi.array().items(packetSchema).default(["keep_alive"])
+			.description("Packets to leave out of recordings (keep_alive should stay ignored, the replay server sends its own)"),
+		"compression": zlibOptionsSchema.default()
+			.description("Settings for recording compression")
+	}).default()
+		.description("Settings for recording sessions"),
 	"server": joi.object({
 		"host": joi.string().hostname().default("connect.2b2t.org")
 			.description("Address of the server to connect to"),
@@ -106,13 +459,27 @@ const configSchema = joi.object({
 		.description("Settings for how the proxy connects to the server"),
 	"proxy": joi.object({
 		"whitelist": joi.array().items(usernameSchema)
-			.description("Playernames of accounts that are allowed to connect to the proxy"),
+			.description("Playernames of accounts that are allowed to connect to the proxy, in order of priority (highest first) if takeover is active"),
 		"onlineMode": joi.boolean().default(true)
 			.description("Whether to enable online-mode on the proxy. This probably should never be touched"),
 		"loopbackAddress": joi.string().valid("127.0.0.1", "localhost", "0.0.0.0", "::1").default("127.0.0.1")
 			.description("Loopback address to connect to the proxy. (options: '127.0.0.1', 'localhost', '0.0.0.0', '::1')"),
 		"port": joi.number().port().default(25565)
-			.description("Port on the machine to connect to the proxy")
+			.description("Port on the machine to connect to the proxy"),
+		"spectator": joi.object({
+			"active": joi.boolean().default(false)
+				.description("Whether to let additional whitelisted players connect as spectators while someone else is controlling the proxy. Spectators receive a read-only mirror of the server (world, entities, chat) and everything they send is dropped"),
+			"maxSpectators": joi.number().integer().min(1).default(4)
+				.description("Maximum number of spectators that can be connected to the proxy at once")
+		}).default()
+			.description("Settings for spectating the proxy"),
+		"takeover": joi.object({
+			"active": joi.boolean().default(false)
+				.description("Whether a whitelisted player can take control of the proxy from a controller with a lower priority (i.e. further down the whitelist) by connecting to it"),
+			"demoteTo": joi.string().valid("spectator", "disconnect").default("spectator")
+				.description("What happens to a controller when someone takes control of the proxy from them. Controllers are disconnected if spectating is disabled or full (options: 'spectator', 'disconnect')")
+		}).default()
+			.description("Settings for taking control of the proxy from the current controller")
 	}).default()
 		.description("Settings for how you connect to the proxy"),
 	"ngrok": joi.object({
@@ -233,6 +600,13 @@ const configSchema = joi.object({
 		.description("Settings for experimental features that may be more unstable in resource usage and/or server and version parity"),
 	"waitForControllerBeforeConnect": joi.boolean().default(false)
 		.description("Whether the proxy will wait for someone to take control before it connects to the server"),
+	"commands": joi.object({
+		"active": joi.boolean().default(true)
+			.description("Whether the controller can run proxy commands (e.g. status, reconnect, whitelist) by sending chat messages that start with the command prefix. Proxy commands are never sent to the server"),
+		"prefix": joi.string().pattern(/^\S+$/).default("/2b2w")
+			.description("Prefix of chat messages that are proxy commands (e.g. `/2b2w help`)")
+	}).default()
+		.description("Settings for in-game proxy commands"),
 	"notify": joi.object({
 		"whenJoining": joi.boolean().default(true)
 			.description("Whether to send a toast notification and status webhook message when the proxy joins the server from queue"),
@@ -255,8 +629,21 @@ const configSchema = joi.object({
 			.description("Webserver username."),
 		"password": joi.string().default("password")
 			.description("Webserver password."),
+		"metrics": joi.boolean().default(true)
+			.description("Whether to serve Prometheus metrics at `/metrics` on the web interface (`/account/<index>/metrics` for each account in `accounts`, uses the same login as the web interface if pwprotected is true)"),
 	}).default()
 		.description("Settings for how the proxy connects to the server"),
+	"accounts": joi.array().items(joi.object({
+		"account": joi.object({
+			"username": usernameSchema.required()
+		}).unknown(true).required()
+			.description("The account to run (same options as the top-level `account`)"),
+		"proxy": joi.object({
+			"port": joi.number().port().required()
+		}).unknown(true).required()
+			.description("How to connect to this account's proxy (same options as the top-level `proxy`, the port must be unique)")
+	}).unknown(true)).unique((a, b) => a.proxy.port === b.proxy.port).default([])
+		.description("Accounts to run from this single process. Each entry overrides the rest of the config for that account (e.g. `account`, `proxy`, `mineflayer`) and gets its own connection, local server, status, Mineflayer bot, and log directory. A single web interface (on `webinterface.port`, with each account at `/?account=<index>` and its pages under `/account/<index>/`) and a single webhook queue delivers the notifications of every account, with each account's own webhooks and transports. Livechat relaying is coordinated between the accounts in memory. Leave empty to run only the top-level `account`"),
 	"coordination": joi.object({
 		"active": joi.boolean().default(false)
 			.description("Whether to use a [master config file and coordinator](https://github.com/Enchoseon/2based2wait/wiki/How-to-Proxy-Multiple-Accounts)"),
@@ -271,5 +658,6 @@ const configSchema = joi.object({
 // =======
 
 module.exports = {
-	configSchema
+	configSchema,
+	usernameSchema
 };
\ No newline at end of file
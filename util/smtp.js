@@ -0,0 +1,165 @@
+// =======
+// Imports
+// =======
+
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+
+// ===========
+// Global Vars
+// ===========
+
+const TIMEOUT = 30000; // Time (in ms) to wait for the SMTP server before giving up
+
+// =========
+// Functions
+// =========
+
+/**
+ * Send a plain text email
+ * @param {object} settings SMTP settings (config.transports[].smtp)
+ * @param {object} mail Email to send
+ * @param {string} mail.subject Subject of the email
+ * @param {string} mail.text Body of the email
+ * @param {boolean} mail.urgent Whether to mark the email as high priority
+ * @returns {Promise} Resolves once the SMTP server has accepted the email, rejects with an error (error.permanent if retrying won't help) if it hasn't
+ */
+async function sendMail(settings, mail) {
+	let socket = await connect(settings.secure ? tls.connect({ "host": settings.host, "port": settings.port, "servername": settings.host }) : net.connect({ "host": settings.host, "port": settings.port }));
+	let reader = createReader(socket);
+	try {
+		await reader.expect(220);
+		const features = await command(`EHLO ${os.hostname()}`, 250);
+		// Upgrade to TLS if the server supports it
+		if (!settings.secure && /STARTTLS/i.test(features)) {
+			await command("STARTTLS", 220);
+			socket.removeAllListeners("data");
+			socket = await connect(tls.connect({ socket, "servername": settings.host }));
+			reader = createReader(socket);
+			await command(`EHLO ${os.hostname()}`, 250);
+		}
+		// Only send the password over TLS (unless explicitly allowed)
+		if (settings.username && !(socket instanceof tls.TLSSocket) && !settings.allowInsecureAuth) throw Object.assign(new Error("Refusing to log in over an unencrypted connection (the SMTP server doesn't support STARTTLS, see smtp.allowInsecureAuth)"), { "permanent": true });
+		if (settings.username) await command(`AUTH PLAIN ${Buffer.from(`\0${settings.username}\0${settings.password}`).toString("base64")}`, 235);
+		await command(`MAIL FROM:<${settings.from}>`, 250);
+		for (const recipient of settings.to) {
+			await command(`RCPT TO:<${recipient}>`, 250);
+		}
+		await command("DATA", 354);
+		await command(formatMail(settings, mail) + "\r\n.", 250);
+		await command("QUIT", 221);
+	} finally {
+		socket.destroy();
+	}
+	/**
+	 * Send an SMTP command and wait for the reply
+	 * @param {string} line Command
+	 * @param {number} code Reply code that means success
+	 * @returns {Promise} Resolves with the reply
+	 */
+	function command(line, code) {
+		socket.write(line + "\r\n");
+		return reader.expect(code);
+	}
+}
+
+/**
+ * Wait for a socket to connect
+ * @param {object} socket Socket (net or tls)
+ * @returns {Promise} Resolves with the socket once it's connected
+ */
+function connect(socket) {
+	socket.setTimeout(TIMEOUT, () => socket.destroy(new Error("Timed out waiting for the SMTP server")));
+	return new Promise((resolve, reject) => {
+		socket.once(socket instanceof tls.TLSSocket ? "secureConnect" : "connect", () => resolve(socket));
+		socket.once("error", reject);
+	});
+}
+
+/**
+ * Read replies from an SMTP server
+ * @param {object} socket Socket connected to the SMTP server
+ * @returns {object} Reader ({ expect(code) })
+ */
+function createReader(socket) {
+	let buffer = "";
+	let lines = [];
+	let waiting; // Reply being waited for ({ code, resolve, reject })
+	let failure;
+	socket.on("data", (data) => {
+		buffer += data.toString();
+		let index;
+		while ((index = buffer.indexOf("\r\n")) !== -1) {
+			const line = buffer.slice(0, index);
+			buffer = buffer.slice(index + 2);
+			lines.push(line);
+			if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) finishReply();
+		}
+	});
+	socket.on("error", (error) => fail(error));
+	socket.on("close", () => fail(new Error("SMTP connection closed")));
+	return {
+		/**
+		 * Wait for the next reply
+		 * @param {number} code Reply code that means success
+		 * @returns {Promise} Resolves with the reply, rejects if the reply has any other code
+		 */
+		"expect": (code) => new Promise((resolve, reject) => {
+			if (failure) return reject(failure);
+			waiting = { code, resolve, reject };
+		})
+	};
+	/** Pass a complete (possibly multiline) reply to whatever is waiting for it */
+	function finishReply() {
+		const reply = lines.join("\n");
+		lines = [];
+		if (!waiting) return;
+		const { code, resolve, reject } = waiting;
+		waiting = undefined;
+		if (parseInt(reply.slice(0, 3)) === code || (code === 250 && reply.startsWith("251"))) {
+			resolve(reply);
+		} else {
+			reject(Object.assign(new Error(`Unexpected SMTP reply: ${reply}`), { "permanent": reply.startsWith("5") })); // (5xx replies won't succeed if retried)
+		}
+	}
+	/**
+	 * Reject whatever is waiting for a reply
+	 * @param {Error} error Why the connection failed
+	 */
+	function fail(error) {
+		failure = failure || error;
+		if (!waiting) return;
+		waiting.reject(failure);
+		waiting = undefined;
+	}
+}
+
+/**
+ * Format an email (headers and body) for the DATA command
+ * @param {object} settings SMTP settings
+ * @param {object} mail Email to send
+ * @returns {string} Email (dot-stuffed, with CRLF line endings)
+ */
+function formatMail(settings, mail) {
+	const headers = [
+		`From: <${settings.from}>`,
+		`To: ${settings.to.map(recipient => `<${recipient}>`).join(", ")}`,
+		`Subject: =?UTF-8?B?${Buffer.from(mail.subject).toString("base64")}?=`,
+		`Date: ${new Date().toUTCString()}`,
+		"MIME-Version: 1.0",
+		"Content-Type: text/plain; charset=utf-8",
+		"Content-Transfer-Encoding: 8bit"
+	];
+	if (mail.urgent) headers.push("X-Priority: 1", "Importance: high");
+	const body = mail.text.split(/\r?\n/).map(line => line.startsWith(".") ? "." + line : line); // (lines starting with a dot are escaped)
+	return headers.concat("", body).join("\r\n");
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	sendMail
+};
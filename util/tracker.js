@@ -0,0 +1,180 @@
+// =======
+// Imports
+// =======
+
+const fs = require("fs");
+
+const { config } = require("./config.js");
+const logger = require("./logger.js");
+const notifier = require("./notifier.js");
+const { updateWebStatus, io } = require("./webserver.js");
+
+// ===========
+// Global Vars
+// ===========
+
+let inRange = {}; // Players currently in visual range, keyed by entity id ({ username, uuid, dimension, start, firstPosition })
+
+// ==============
+// Initialization
+// ==============
+
+// Send the players currently in visual range to the web interface
+io().on("connection", (client) => {
+	client.emit("updateVisualRange", getPlayersInRange());
+});
+
+// =========
+// Functions
+// =========
+
+/**
+ * Track players coming into and leaving the visual range of a Mineflayer bot
+ * @param {object} bot Mineflayer bot
+ */
+function watch(bot) {
+	if (!config.visualRange.active) return;
+	bot.on("entitySpawn", (entity) => {
+		if (entity.type !== "player" || entity === bot.entity) return;
+		startSighting(entity, bot.game.dimension);
+	});
+	bot.on("entityGone", (entity) => {
+		if (inRange[entity.id]) endSighting(entity.id, entity.position);
+	});
+	// Every player is out of range after respawning (e.g. changing dimensions) or disconnecting
+	const endAll = () => Object.keys(inRange).forEach(id => endSighting(id));
+	bot.on("respawn", endAll);
+	bot.once("end", endAll);
+}
+
+/**
+ * Start tracking a player that came into visual range
+ * @param {object} entity Player entity
+ * @param {string} dimension Dimension the player was seen in
+ */
+function startSighting(entity, dimension) {
+	const sighting = inRange[entity.id] = {
+		"username": entity.username,
+		"uuid": entity.uuid,
+		dimension,
+		"start": Date.now(),
+		"firstPosition": roundPosition(entity.position),
+		"lastPosition": roundPosition(entity.position)
+	};
+	updateWebStatus("updateVisualRange", getPlayersInRange());
+	if (config.visualRange.alert && !isIgnored(sighting.username)) {
+		notifier.notify("playerEnteredRange", {
+			"player": sighting.username,
+			"coordinates": formatPosition(sighting.firstPosition),
+			dimension
+		});
+	}
+}
+
+/**
+ * Stop tracking a player that left visual range and save the sighting
+ * @param {number} id Entity id of the player
+ * @param {object} position Last known position of the player
+ */
+function endSighting(id, position) {
+	const sighting = inRange[id];
+	delete inRange[id];
+	if (position) sighting.lastPosition = roundPosition(position);
+	const duration = Math.round((Date.now() - sighting.start) / 1000);
+	saveSighting({
+		"username": sighting.username,
+		"uuid": sighting.uuid,
+		"dimension": sighting.dimension,
+		"firstSeen": new Date(sighting.start).toISOString(),
+		"lastSeen": new Date().toISOString(),
+		duration,
+		"firstPosition": sighting.firstPosition,
+		"lastPosition": sighting.lastPosition
+	});
+	updateWebStatus("updateVisualRange", getPlayersInRange());
+	if (config.visualRange.alert && !isIgnored(sighting.username)) {
+		notifier.notify("playerLeftRange", {
+			"player": sighting.username,
+			"coordinates": formatPosition(sighting.lastPosition),
+			"dimension": sighting.dimension,
+			duration
+		});
+	}
+}
+
+/**
+ * Append a sighting to today's visual range log
+ * @param {object} sighting Sighting to save
+ */
+function saveSighting(sighting) {
+	const file = logger.createDirectory("visualRange") + getLogFilename();
+	fs.appendFile(file, JSON.stringify(sighting) + "\n", (error) => {
+		if (error) logger.log("saveSighting", error, "error");
+	});
+}
+
+/**
+ * Get the name of today's visual range log
+ * @returns {string} Filename
+ */
+function getLogFilename() {
+	return logger.getTimestamp(true) + ".jsonl";
+}
+
+/**
+ * Get the visual range log that's being written to (so it isn't deleted)
+ * @returns {Array} Path to today's log
+ */
+function getOpenFiles() {
+	return [logger.getDirectory("visualRange") + getLogFilename()];
+}
+
+/**
+ * Get the usernames of the players currently in visual range
+ * @returns {Array} Usernames
+ */
+function getPlayersInRange() {
+	return Object.values(inRange).map(sighting => sighting.username);
+}
+
+/**
+ * Check whether alerts about a player are ignored (whitelisted players and players in config.visualRange.ignore)
+ * @param {string} username Username of the player
+ * @returns {boolean} Whether the player is ignored
+ */
+function isIgnored(username) {
+	return config.proxy.whitelist.concat(config.visualRange.ignore).some(ignored => ignored.toLowerCase() === (username || "").toLowerCase());
+}
+
+/**
+ * Round a position to whole blocks
+ * @param {object} position Position (Vec3)
+ * @returns {object} Rounded position ({ x, y, z })
+ */
+function roundPosition(position) {
+	return {
+		"x": Math.round(position.x),
+		"y": Math.round(position.y),
+		"z": Math.round(position.z)
+	};
+}
+
+/**
+ * Format a position for webhooks
+ * @param {object} position Position ({ x, y, z })
+ * @returns {string} Formatted position
+ */
+function formatPosition(position) {
+	return `${position.x} ${position.y} ${position.z}`;
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	watch,
+	getPlayersInRange,
+	getOpenFiles,
+	isIgnored
+};
@@ -0,0 +1,334 @@
+// =======
+// Imports
+// =======
+
+const fs = require("fs");
+const fetch = require("node-fetch");
+
+const { config, accountWorker } = require("./config.js");
+const logger = require("./logger.js");
+const metrics = require("./metrics.js");
+const smtp = require("./smtp.js");
+
+// ===========
+// Global Vars
+// ===========
+
+const MAX_DESCRIPTION = 4096; // Longest embed description Discord accepts
+
+let queueFile; // Path to the file undelivered requests are saved to
+let queues = {}; // Outbound requests for every webhook ({ items, busy, retryAt, timer })
+let resolver; // Function that looks up where requests sent through a transport go (see setResolver)
+let deliveredListeners = []; // Functions called with every delivered request and the response
+let saveTimer; // Timer for saving the queues
+
+// =========
+// Functions
+// =========
+
+/**
+ * Set the function that looks up the url, headers, and SMTP settings of requests sent through a transport, then resend the requests that weren't delivered before the proxy last stopped.
+ * Requests are only saved with a reference to their transport, so credentials are read from the live config when they're sent instead of being written to disk
+ * @param {Function} resolve Called with a transport reference and a path, returns { webhook, url, headers, smtp } (or undefined if the transport no longer exists)
+ */
+function setResolver(resolve) {
+	resolver = resolve;
+	if (accountWorker) return; // (util/accounts.js delivers the notifications of every account)
+	queueFile = logger.getDirectory("webhooks") + "queue.json";
+	process.on("exit", saveQueue); // (save whatever is still undelivered however the proxy stops)
+	loadQueue();
+}
+
+/**
+ * Load requests that weren't delivered before the proxy last stopped
+ */
+function loadQueue() {
+	if (!fs.existsSync(queueFile)) return;
+	try {
+		const items = JSON.parse(fs.readFileSync(queueFile));
+		if (items.length > 0) logger.log("webhookQueue", `Resending ${items.length} undelivered webhook requests.`, "proxy");
+		items.forEach(item => enqueue(item));
+	} catch (error) {
+		logger.log("loadQueue", error, "error");
+	}
+}
+
+/**
+ * Queue a webhook request
+ * @param {object} request Request
+ * @param {object} request.transport Reference to the transport the request is sent through (looked up with the resolver, see setResolver). Requests without one aren't saved when the proxy stops
+ * @param {string} request.path Path the resolver appends to the url of the transport (e.g. "/messages/<id>")
+ * @param {string} request.webhook Url of the webhook (requests are queued and rate-limited per webhook, looked up for requests with a transport)
+ * @param {string} request.url Url to send the request to (defaults to the webhook)
+ * @param {string} request.method HTTP method (defaults to "POST")
+ * @param {object} request.headers Extra HTTP headers
+ * @param {object} request.body JSON body (or the email, for SMTP requests)
+ * @param {object} request.smtp SMTP settings (sends request.body as an email instead of an HTTP request, see smtp.sendMail)
+ * @param {boolean} request.coalesce Whether the request can be merged with other queued requests that can be (e.g. livechat lines)
+ * @param {boolean} request.deleteOnRestart Whether the message is deleted when restarting the proxy
+ * @param {string} request.account Account the message was sent for (so only its messages are deleted when it restarts)
+ * @returns {Promise} Resolves with the response JSON once the request has been delivered (or undefined if it couldn't be)
+ */
+function enqueue(request) {
+	const item = {
+		"transport": request.transport,
+		"path": request.path,
+		"webhook": request.webhook,
+		"url": request.url || request.webhook + "?wait=true",
+		"method": request.method || "POST",
+		"headers": request.headers || {},
+		"body": request.body,
+		"smtp": request.smtp,
+		"coalesce": Boolean(request.coalesce),
+		"deleteOnRestart": Boolean(request.deleteOnRestart),
+		"account": request.account,
+		"attempts": request.attempts || 0,
+		"queued": request.queued || Date.now()
+	};
+	if (typeof item.transport !== "undefined" && !resolve(item)) {
+		logger.log("webhookQueue", `Dropped a request for a transport that no longer exists: ${JSON.stringify(item.transport)}`, "error");
+		return Promise.resolve();
+	}
+	if (!queues[item.webhook]) {
+		queues[item.webhook] = {
+			"items": [],
+			"busy": false,
+			"retryAt": 0
+		};
+	}
+	const queue = queues[item.webhook];
+	return new Promise((resolve) => {
+		const last = queue.items[queue.items.length - 1];
+		if (last && !(queue.busy && queue.items.length === 1) && coalesce(last, item)) {
+			last.callbacks.push(resolve);
+		} else {
+			item.callbacks = [resolve];
+			queue.items.push(item);
+		}
+		scheduleSave();
+		processQueue(item.webhook);
+	});
+}
+
+/**
+ * Look up where a request that's sent through a transport goes in the live config
+ * @param {object} item Request
+ * @returns {boolean} Whether the transport still exists
+ */
+function resolve(item) {
+	const target = typeof resolver === "function" ? resolver(item.transport, item.path) : undefined;
+	if (typeof target === "undefined") return false;
+	Object.assign(item, {
+		"webhook": target.webhook,
+		"url": target.url,
+		"headers": target.headers || {},
+		"smtp": target.smtp
+	});
+	return true;
+}
+
+/**
+ * Merge a request into a queued one if both can be coalesced
+ * @param {object} queued Queued request (not yet being sent)
+ * @param {object} item New request
+ * @returns {boolean} Whether the new request was merged
+ */
+function coalesce(queued, item) {
+	if (!queued.coalesce || !item.coalesce || queued.method !== item.method) return false;
+	const embed = queued.body.embeds[0];
+	const description = `${embed.description}\n${item.body.embeds[0].description}`;
+	if (description.length > MAX_DESCRIPTION) return false;
+	embed.description = description;
+	return true;
+}
+
+/**
+ * Send the next request queued for a webhook once it's allowed to
+ * @param {string} webhook Url of the webhook
+ */
+function processQueue(webhook) {
+	const queue = queues[webhook];
+	if (queue.busy || queue.items.length === 0 || queue.timer) return;
+	const item = queue.items[0];
+	const wait = Math.max(queue.retryAt - Date.now(), item.coalesce ? item.queued + config.discord.delivery.coalesceWindow * 1000 - Date.now() : 0);
+	if (wait > 0) { // (rate-limited, backing off, or waiting for more livechat lines)
+		queue.timer = setTimeout(() => {
+			queue.timer = undefined;
+			processQueue(webhook);
+		}, wait);
+		return;
+	}
+	if (typeof item.transport !== "undefined" && !resolve(item)) { // (the transport was removed from config.json while the request was queued)
+		fail(queue, "its transport no longer exists");
+		processQueue(webhook);
+		return;
+	}
+	queue.busy = true;
+	(item.smtp ? sendMail(queue, item) : sendRequest(queue, item)).finally(() => {
+		queue.busy = false;
+		processQueue(webhook);
+	});
+}
+
+/**
+ * Send the HTTP request at the front of a queue
+ * @param {object} queue Queue of the webhook
+ * @param {object} item Request
+ * @returns {Promise} Resolves once the request has been delivered, given up on, or scheduled to be retried
+ */
+function sendRequest(queue, item) {
+	return fetch(item.url, {
+		method: item.method,
+		headers: Object.assign({
+			"Content-type": "application/json"
+		}, item.headers),
+		body: item.body ? JSON.stringify(item.body) : undefined
+	}).then(async (response) => {
+		// Wait for the rate limit bucket to reset once it's empty
+		if (response.headers.get("x-ratelimit-remaining") === "0") {
+			queue.retryAt = Date.now() + parseFloat(response.headers.get("x-ratelimit-reset-after") || 0) * 1000;
+		}
+		if (response.status === 429) { // (rate-limited, doesn't count as an attempt)
+			const body = await response.json().catch(() => ({}));
+			const retryAfter = parseFloat(response.headers.get("retry-after") || body.retry_after || (body.parameters && body.parameters.retry_after) || 1); // (Telegram puts it in parameters)
+			queue.retryAt = Date.now() + retryAfter * 1000;
+			logger.log("webhookQueue", `Rate-limited, retrying in ${retryAfter} seconds.`, "proxy");
+		} else if (response.ok) {
+			const json = await response.json().catch(() => ({})); // (e.g. DELETE responses have no body)
+			finish(queue, json);
+		} else if (response.status === 404 && item.method === "DELETE") { // (already deleted)
+			finish(queue, {});
+		} else if (response.status >= 500) {
+			retry(queue, `HTTP ${response.status}`);
+		} else {
+			fail(queue, `HTTP ${response.status}`);
+		}
+	}).catch(error => {
+		retry(queue, error.message);
+	});
+}
+
+/**
+ * Send the email at the front of a queue
+ * @param {object} queue Queue of the SMTP server
+ * @param {object} item Request ({ smtp, body })
+ * @returns {Promise} Resolves once the email has been delivered, given up on, or scheduled to be retried
+ */
+function sendMail(queue, item) {
+	return smtp.sendMail(item.smtp, item.body).then(() => {
+		finish(queue, {});
+	}).catch(error => {
+		if (error.permanent) {
+			fail(queue, error.message);
+		} else {
+			retry(queue, error.message);
+		}
+	});
+}
+
+/**
+ * Back off before retrying the request at the front of a queue (giving up after config.discord.delivery.maxAttempts)
+ * @param {object} queue Queue of the webhook
+ * @param {string} reason Why the request failed
+ */
+function retry(queue, reason) {
+	const item = queue.items[0];
+	item.attempts++;
+	if (item.attempts >= config.discord.delivery.maxAttempts) {
+		fail(queue, reason);
+		return;
+	}
+	const delay = Math.min(config.discord.delivery.retryInterval * Math.pow(2, item.attempts - 1), config.discord.delivery.maxRetryInterval);
+	queue.retryAt = Date.now() + delay * 1000;
+	logger.log("webhookQueue", `Webhook request failed (${reason}), retrying in ${delay} seconds (Attempt #${item.attempts}).`, "proxy");
+}
+
+/**
+ * Give up on the request at the front of a queue
+ * @param {object} queue Queue of the webhook
+ * @param {string} reason Why the request failed
+ */
+function fail(queue, reason) {
+	metrics.countWebhookFailure();
+	logger.log("webhookQueue", `Couldn't deliver ${queue.items[0].smtp ? "email" : "webhook request"} (${reason}): ${JSON.stringify(queue.items[0].body)}`, "error");
+	finish(queue);
+}
+
+/**
+ * Remove the request at the front of a queue
+ * @param {object} queue Queue of the webhook
+ * @param {object} json Response JSON (undefined if the request wasn't delivered)
+ */
+function finish(queue, json) {
+	const item = queue.items.shift();
+	if (typeof json !== "undefined") deliveredListeners.forEach(listener => listener(item, json));
+	item.callbacks.forEach(callback => callback(json));
+	scheduleSave();
+}
+
+/**
+ * Add a function to call whenever a request is delivered (including requests loaded from before a restart)
+ * @param {Function} listener Called with the request and the response JSON
+ */
+function onDelivered(listener) {
+	deliveredListeners.push(listener);
+}
+
+/**
+ * Get how many requests are waiting to be delivered
+ * @returns {number} Undelivered requests
+ */
+function getPending() {
+	return Object.values(queues).reduce((pending, queue) => pending + queue.items.length, 0);
+}
+
+/**
+ * Save the queues soon (so bursts of requests are written once)
+ */
+function scheduleSave() {
+	if (typeof queueFile === "undefined" || saveTimer) return;
+	saveTimer = setTimeout(saveQueue, 1000);
+	saveTimer.unref();
+}
+
+/**
+ * Save undelivered requests so they're sent after a restart (only requests sent through a transport, and without the url, headers, or SMTP settings, since those can hold credentials)
+ */
+function saveQueue() {
+	clearTimeout(saveTimer);
+	saveTimer = undefined;
+	if (typeof queueFile === "undefined") return;
+	const items = [];
+	for (const queue of Object.values(queues)) {
+		queue.items.filter(item => typeof item.transport !== "undefined").forEach(item => items.push({
+			"transport": item.transport,
+			"path": item.path,
+			"method": item.method,
+			"body": item.body,
+			"coalesce": item.coalesce,
+			"deleteOnRestart": item.deleteOnRestart,
+			"account": item.account,
+			"attempts": item.attempts,
+			"queued": item.queued
+		}));
+	}
+	if (items.length === 0 && !fs.existsSync(queueFile)) return; // (nothing to save)
+	try {
+		logger.createDirectory("webhooks");
+		fs.writeFileSync(queueFile, JSON.stringify(items));
+	} catch (error) {
+		logger.log("saveQueue", error, "error");
+	}
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	setResolver,
+	enqueue,
+	saveQueue,
+	onDelivered,
+	getPending
+};
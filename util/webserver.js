@@ -2,10 +2,15 @@
 const express = require("express");
 const app = express();
 var server = require('http').createServer(app); 
-var io = require('socket.io')(server); 
 const path = require('path');
+const { parentPort } = require("worker_threads");
 
-const { config, status } = require("./config.js");
+const { config, status, accountWorker } = require("./config.js");
+let routes = {}; //Pages of this account that util/accounts.js serves
+//Accounts run by util/accounts.js relay their web interface through it (a single web interface serves every account)
+var io = accountWorker ? createRelay() : require("socket.io")(server);
+if (!accountWorker) io.use(authorizedSocket); //(events like giveControl need the same login as the pages)
+const hub = !accountWorker && config.accounts.length > 0;
 const storedChat = [[new Date().toLocaleTimeString().replace(/(.*)\D\d+/, '$1'), "iMessenger", "Please support by sharing the project!"]];
 
 
@@ -24,38 +29,31 @@ let sequenceNumberByClient = new Map();
 //Start webserver
 if (config.webinterface.enabled) startwebUI();
 function startwebUI() {
-	app.get("/", (req, res) => {
-  	const reject = () => {
-    res.setHeader("www-authenticate", "Basic");
-    res.sendStatus(401);
-  };
-		if (webEnable){
-			const authorization = req.headers.authorization;
-	  		if (!authorization) {
-	    		return reject();
-	  		}
-	  		const [username, password] = Buffer.from(authorization.replace("Basic ", ""), "base64").toString().split(":");
-	  		if (!(username === webusername && password === webpassword)) {
-	    		return reject();
-	  		}
-		}
+	if (!accountWorker) {
+		app.get("/", (req, res) => {
+			if (!authorized(req, res)) return;
+			if (hub && typeof req.query.account === "undefined") return res.redirect("/?account=0"); //(every account has its own page)
 			app.use(express.static("views")); // public folder for css and image
-		  	app.use(express.static("public")); // public folder for css and images
-		  	res.sendFile(path.join(__dirname, '../views/index.html'));	
-});
+			app.use(express.static("public")); // public folder for css and images
+			res.sendFile(path.join(__dirname, '../views/index.html'));
+		});
+		server.listen(webport, function(){
+			console.log('listening on *:' + webport);
+		}); 
+	}
+	if (hub) return; //(util/accounts.js relays the information of every account)
 	//Start timers
 
-	server.listen(webport, function(){
-		console.log('listening on *:' + webport);
-	}); 
 	//Information gets updated on first connection
 	io.on('connection', function(client) { 
 		io.emit('updateUsername', config.account.username);
 		io.emit('updateController', status.controller);
+		io.emit("updateSpectators", status.spectators);
 		io.emit("updateStoredChat", storedChat);
 		io.emit("updateHealth", playerInfo.health);
 		io.emit("updateHunger", playerInfo.hunger);
 		io.emit('updateQueuePosition', status.position);
+		io.emit('updatePredictedETA', status.predictedEta);
 		io.emit('updateWhitelist', serverInfo.whitelist);
 		io.emit('serverInfo', config.account.username);
 		
@@ -110,30 +108,136 @@ function startwebUI() {
 		}
 	}, 1000);
 };
+//Stop webserver (disconnects every socket and closes the http server)
+function stopwebUI() {
+	if (!server.listening) return Promise.resolve();
+	return new Promise((resolve) => io.close(() => resolve()));
+}
+//Check the login (if the web interface is password protected), asking for it again if it's wrong
+function authorized(req, res) {
+	if (checkLogin(req.headers.authorization)) return true;
+	res.setHeader("www-authenticate", "Basic");
+	res.sendStatus(401);
+	return false;
+}
+/**
+ * Socket.io middleware that refuses connections without the login of the web interface (browsers send the login they used for the page)
+ * @param {object} socket Socket.io socket
+ * @param {Function} next Called to accept (or with an error to refuse) the connection
+ */
+function authorizedSocket(socket, next) {
+	next(checkLogin(socket.request.headers.authorization) ? undefined : new Error("Unauthorized"));
+}
+/**
+ * Check a Basic authorization header against the login of the web interface
+ * @param {string} header Authorization header
+ * @returns {boolean} Whether the login is right (always true if the web interface isn't password protected)
+ */
+function checkLogin(header) {
+	if (!webEnable) return true;
+	const [username, password] = Buffer.from((header || "").replace("Basic ", ""), "base64").toString().split(":");
+	return username === webusername && password === webpassword;
+}
+/**
+ * Serve a page on the web interface (pages of accounts run by util/accounts.js are served under /account/<index>/)
+ * @param {string} page Path of the page (e.g. "/metrics")
+ * @param {Function} handler Called with the query string, returns the response ({ type, attachment, body })
+ */
+function route(page, handler) {
+	if (accountWorker) {
+		routes[page] = handler;
+		return;
+	}
+	app.get(page, (req, res) => {
+		if (!authorized(req, res)) return;
+		sendResponse(res, handler(req.query));
+	});
+}
+/**
+ * Send the response of a page
+ * @param {object} res Express response
+ * @param {object} response Response ({ type, attachment, body })
+ */
+function sendResponse(res, response) {
+	res.type(response.type);
+	if (response.attachment) res.attachment(response.attachment);
+	res.send(response.body);
+}
+/**
+ * Stand-in for socket.io in accounts run by util/accounts.js, which relays events between the account's namespace (/account/<index>) and this worker
+ * @returns {object} Relay ({ on, emit })
+ */
+function createRelay() {
+	let connectionListeners = [];
+	let clients = new Map();
+	parentPort.on("message", (msg) => {
+		if (msg.http) { //Page requested
+			const handler = routes[msg.http.page];
+			parentPort.postMessage({ http: { id: msg.http.id, response: handler ? handler(msg.http.query) : undefined } });
+		}
+		if (!msg.web) return;
+		const { client, event, args } = msg.web;
+		if (event === "connection") {
+			const relayClient = createRelayClient(client);
+			clients.set(client, relayClient);
+			connectionListeners.forEach(listener => listener(relayClient));
+			return;
+		}
+		const relayClient = clients.get(client);
+		if (!relayClient) return;
+		if (event === "disconnect") clients.delete(client);
+		(relayClient.handlers[event] || []).forEach(handler => handler(...args));
+	});
+	return {
+		on: (event, listener) => {
+			if (event === "connection") connectionListeners.push(listener);
+		},
+		emit: (event, ...args) => parentPort.postMessage({ web: { event, args } })
+	};
+}
+/**
+ * Stand-in for a socket.io client of an account run by util/accounts.js
+ * @param {string} id Id of the client
+ * @returns {object} Relay client ({ on, emit })
+ */
+function createRelayClient(id) {
+	let handlers = {};
+	return {
+		handlers,
+		on: (event, handler) => {
+			handlers[event] = (handlers[event] || []).concat(handler);
+		},
+		emit: (event, ...args) => parentPort.postMessage({ web: { client: id, event, args } })
+	};
+}
 //Update website values
 function updateWebStatus(webValue, systemvalue) {
     io.emit(webValue, systemvalue);
 }
-//mineflayer bot
+//mineflayer bot (replaced every time the proxy reconnects)
+let webBot;
 function botWebInject(bot) {
+	const firstInject = typeof webBot === "undefined";
+	webBot = bot;
 	//=========================
 	//Setting all player values
 	//=========================
-	bot.once("spawn", () => {
+	if (firstInject) {
 		//===================
 		//Getting player info
 		//===================
 		io.on('connection', function(client) { 
 
 			client.on('terminalPlayer', function() {
+				if (typeof webBot.entity === "undefined") return; // Not spawned yet
 				let cmdOutput = [`+--------------+-----------------------------------------+`];
 				let cmdPlayerInfo = [["username", ""], ["UUID", ""], ["Position", ""], ["Ping", ""], ["Health", ""], ["Hunger", ""]];
-				cmdPlayerInfo[0][1] = bot.username;
-				cmdPlayerInfo[1][1] = bot.player.uuid;
-				cmdPlayerInfo[2][1] = `x(${Math.round(bot.entity.position.x)}) y(${Math.round(bot.entity.position.y)}) z(${Math.round(bot.entity.position.z)})`;
-				cmdPlayerInfo[3][1] = bot.player.ping.toString();
-				cmdPlayerInfo[4][1] = bot.health.toString();
-				cmdPlayerInfo[5][1] = bot.food.toString();
+				cmdPlayerInfo[0][1] = webBot.username;
+				cmdPlayerInfo[1][1] = webBot.player.uuid;
+				cmdPlayerInfo[2][1] = `x(${Math.round(webBot.entity.position.x)}) y(${Math.round(webBot.entity.position.y)}) z(${Math.round(webBot.entity.position.z)})`;
+				cmdPlayerInfo[3][1] = webBot.player.ping.toString();
+				cmdPlayerInfo[4][1] = webBot.health.toString();
+				cmdPlayerInfo[5][1] = webBot.food.toString();
 				cmdPlayerInfo.forEach((item) => { 
 				let description = item[0];
         for (let i = 0; i < (12 - item[0].length); i++) {
@@ -150,10 +254,11 @@ function botWebInject(bot) {
 				console.log(cmdOutput)
 			});
 			client.on('terminalPlayerName', function() {
+				if (typeof webBot.player === "undefined") return; // Not spawned yet
 				let cmdOutput = [`+--------------+-----------------------------------------+`];
 				let cmdPlayerInfo = [["username", ""], ["UUID", ""]];
-				cmdPlayerInfo[0][1] = bot.username;
-				cmdPlayerInfo[1][1] = bot.player.uuid;
+				cmdPlayerInfo[0][1] = webBot.username;
+				cmdPlayerInfo[1][1] = webBot.player.uuid;
 				cmdPlayerInfo.forEach((item) => { 
 				let description = item[0];
         for (let i = 0; i < (12 - item[0].length); i++) {
@@ -170,10 +275,11 @@ function botWebInject(bot) {
 				console.log(cmdOutput)
 			});
 			client.on('terminalWhoAmI', function() {
+				if (typeof webBot.player === "undefined") return; // Not spawned yet
     		let whoamiOutput = [`+--------------+-----------------------------------------+`];
 				let cmdwhoamiInfo = [["username", ""], ["UUID", ""]];
-				cmdwhoamiInfo[0][1] = bot.username;
-				cmdwhoamiInfo[1][1] = bot.player.uuid;
+				cmdwhoamiInfo[0][1] = webBot.username;
+				cmdwhoamiInfo[1][1] = webBot.player.uuid;
 				cmdwhoamiInfo.forEach((item) => { 
 				let description = item[0];
         for (let i = 0; i < (12 - item[0].length); i++) {
@@ -192,10 +298,13 @@ function botWebInject(bot) {
 
 
 		});
-	});
-	bot.on('chat', (username, message) => {
-        updateWebChat(username, message);
-    });
+		//Chat Box
+		io.on('connection', function(client) {
+			client.on('chat message', (msg) => {
+				webBot.chat(msg);
+			});
+		});
+	}
     //Update health information on the site
     bot.on("health", () => {
     	playerInfo.health = bot.health;
@@ -203,12 +312,6 @@ function botWebInject(bot) {
     	playerInfo.hunger = bot.food;
         updateWebStatus('updateHunger', playerInfo.hunger);
     })
-    //Chat Box
-    io.on('connection', function(client) {
-	    client.on('chat message', (msg) => {
-	        bot.chat(msg);
-	    });
-	});
 
 }
 //Where we update the web chat
@@ -260,9 +363,16 @@ function makeHumanReadable(num, singular) {
 }
 module.exports = {
 	startwebUI,
+	stopwebUI,
+	authorized,
+	authorizedSocket,
+	route,
+	sendResponse,
 	updateWebStatus,
 	updateWebChat,
 	botWebInject,
+	app,
+	playerInfo,
 	serverInfo,
 	io: () => {
     if (!io) {
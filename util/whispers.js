@@ -0,0 +1,174 @@
+// =======
+// Imports
+// =======
+
+const fs = require("fs");
+
+const { config } = require("./config.js");
+const logger = require("./logger.js");
+const notifier = require("./notifier.js");
+const { updateWebStatus, io } = require("./webserver.js");
+
+// ===========
+// Global Vars
+// ===========
+
+let inboxFile; // Path to the inbox file
+let messages = []; // Every saved whisper ({ player, direction, message, time })
+let whisperBot; // Mineflayer bot that replies are sent through
+
+// ==============
+// Initialization
+// ==============
+
+if (config.whispers.active) {
+	loadInbox();
+	io().on("connection", (client) => {
+		// Send the conversations to the web interface
+		client.emit("updateWhisperConversations", getConversations());
+		// Send the history of a conversation when it's opened
+		client.on("whisperHistory", (player) => {
+			client.emit("updateWhisperHistory", {
+				player,
+				"messages": getConversation(player)
+			});
+		});
+		// Reply to a conversation
+		client.on("whisperReply", (data) => {
+			if (!data || !reply(data.player, data.message)) client.emit("whisperReplyFailed", data);
+		});
+	});
+}
+
+// =========
+// Functions
+// =========
+
+/**
+ * Load the inbox (dropping whispers older than config.whispers.maxAge days)
+ */
+function loadInbox() {
+	inboxFile = logger.createDirectory("whispers") + "inbox.jsonl";
+	if (!fs.existsSync(inboxFile)) return;
+	const cutoff = Date.now() - config.whispers.maxAge * 86400000;
+	let loaded = [];
+	for (const line of fs.readFileSync(inboxFile).toString().split("\n")) {
+		if (!line) continue;
+		try {
+			loaded.push(JSON.parse(line));
+		} catch (error) { // (e.g. the proxy was stopped halfway through writing a line)
+			logger.log("loadInbox", `Skipped unreadable whisper: ${line}`, "error");
+		}
+	}
+	messages = loaded.filter(whisper => whisper.time >= cutoff);
+	if (messages.length !== loaded.length) fs.writeFileSync(inboxFile, messages.map(whisper => JSON.stringify(whisper) + "\n").join(""));
+}
+
+/**
+ * Set the Mineflayer bot that replies are sent through
+ * @param {object} bot Mineflayer bot
+ */
+function watch(bot) {
+	whisperBot = bot;
+	bot.once("end", () => {
+		if (whisperBot === bot) whisperBot = undefined;
+	});
+}
+
+/**
+ * Check whether a chat message is a whisper and save it to the inbox if it is
+ * @param {string} msg Chat message (plain text)
+ * @param {number} time Time the message was received (defaults to now)
+ * @returns {object|undefined} The saved whisper ({ player, direction, message, time }), or undefined if the message isn't a whisper
+ */
+function handleMessage(msg, time = Date.now()) {
+	if (!config.whispers.active) return;
+	const whisper = parseWhisper(msg);
+	if (!whisper) return;
+	whisper.time = time;
+	messages.push(whisper);
+	fs.appendFile(inboxFile, JSON.stringify(whisper) + "\n", (error) => {
+		if (error) logger.log("handleMessage", error, "error");
+	});
+	updateWebStatus("updateWhisper", whisper);
+	if (whisper.direction === "in") {
+		notifier.sendToast(`Whisper from ${whisper.player}`);
+		notifier.notify("whisper", {
+			"player": whisper.player,
+			"message": notifier.escapeMarkdown(whisper.message)
+		});
+	}
+	return whisper;
+}
+
+/**
+ * Read who a whisper is from (or to) with config.whispers.incoming and config.whispers.outgoing
+ * @param {string} msg Chat message
+ * @returns {object|undefined} Whisper ({ player, direction, message }), or undefined if the message isn't a whisper
+ */
+function parseWhisper(msg) {
+	for (const direction of ["in", "out"]) {
+		const match = new RegExp(direction === "in" ? config.whispers.incoming : config.whispers.outgoing, "s").exec(msg);
+		if (match) {
+			return {
+				"player": match[1],
+				direction,
+				"message": match[2]
+			};
+		}
+	}
+}
+
+/**
+ * Reply to a whisper with /msg through the Mineflayer bot
+ * @param {string} player Username of the player to reply to
+ * @param {string} message Reply
+ * @returns {boolean} Whether the reply was sent
+ */
+function reply(player, message) {
+	if (typeof whisperBot === "undefined" || !/^\w{3,16}$/.test(player) || typeof message !== "string" || message.trim().length === 0) return false;
+	logger.log("whispers", `Replying to ${player}: ${message}`, "proxy");
+	whisperBot.chat(`/msg ${player} ${message}`);
+	return true;
+}
+
+/**
+ * Get every whisper to and from a player
+ * @param {string} player Username of the player
+ * @returns {Array} Whispers ({ player, direction, message, time })
+ */
+function getConversation(player) {
+	return messages.filter(whisper => whisper.player.toLowerCase() === String(player).toLowerCase());
+}
+
+/**
+ * Get a summary of every conversation in the inbox, most recent first
+ * @returns {Array} Conversations ({ player, last, count })
+ */
+function getConversations() {
+	let conversations = {};
+	for (const whisper of messages) {
+		const key = whisper.player.toLowerCase();
+		if (!conversations[key]) {
+			conversations[key] = {
+				"player": whisper.player,
+				"count": 0
+			};
+		}
+		conversations[key].last = whisper;
+		conversations[key].count++;
+	}
+	return Object.values(conversations).sort((a, b) => b.last.time - a.last.time);
+}
+
+// =======
+// Exports
+// =======
+
+module.exports = {
+	watch,
+	handleMessage,
+	reply,
+	getConversation,
+	getConversations
+};